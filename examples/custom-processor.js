@@ -14,6 +14,9 @@ app.use(express.json());
 class CustomResponseProcessor extends MockApiResponseProcessor {
   constructor() {
     super();
+    // Handle {random:...} placeholders; like the built-in ones, a placeholder
+    // that is the whole string keeps the generated type
+    this.registerPlaceholder('random', expression => this.processRandomExpression(expression));
     console.log('Custom response processor initialized');
   }
   
@@ -54,20 +57,6 @@ class CustomResponseProcessor extends MockApiResponseProcessor {
     
     return null;
   }
-  
-  // Override the interpolateString method to add support for random expressions
-  interpolateString(str, params) {
-    // First process with the parent method to handle standard expressions
-    let result = super.interpolateString(str, params);
-    
-    // Then process our custom random expressions
-    result = result.replace(/\{random:([^}]+)\}/g, (match, expression) => {
-      const value = this.processRandomExpression(expression);
-      return value !== null ? value : match;
-    });
-    
-    return result;
-  }
 }
 
 // Create a mock API with our custom processor
@@ -47,6 +47,19 @@ const initialData = {
         message: 'Session information'
       }
     },
+    {
+      id: 'getBillingPeriod',
+      method: 'GET',
+      path: '/billing/period',
+      statusCode: 200,
+      response: {
+        periodStart: '{date:currentDate|startOf:month|iso}',
+        periodEnd: '{date:currentDate|endOf:month|iso}',
+        nextInvoice: '{date:currentDate+1M|startOf:month|format:"D MMMM YYYY"}',
+        lastModified: '{date:currentDate-2h|rfc2822}',
+        message: 'Billing period with formatted dates'
+      }
+    },
     {
       id: 'createAuthToken',
       method: 'POST',
@@ -82,5 +95,6 @@ app.listen(PORT, () => {
   console.log('  GET http://localhost:3000/time');
   console.log('  GET http://localhost:3000/expiry');
   console.log('  GET http://localhost:3000/session');
+  console.log('  GET http://localhost:3000/billing/period');
   console.log('  POST http://localhost:3000/auth/token (with username in body)');
 });
\ No newline at end of file
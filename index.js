@@ -1,18 +1,38 @@
 // File: index.js
 const MockApiRouter = require('./lib/router');
 const MockApiResponseProcessor = require('./lib/processor');
+const { TemplateReferenceError } = MockApiResponseProcessor;
 const StorageAdapter = require('./lib/storage');
+const MockApiConfigValidator = require('./lib/validator');
+const MockApiCollection = require('./lib/collection');
+const MockApiSequences = require('./lib/sequences');
 
 class ServerlessApiMockery {
   constructor(options = {}) {
-    this.router = new MockApiRouter();
-    this.processor = new MockApiResponseProcessor();
+    this.router = new MockApiRouter({
+      caseSensitive: options.caseSensitive,
+      strictTrailingSlash: options.strictTrailingSlash,
+      decodeParams: options.decodeParams
+    });
+    this.processor = new MockApiResponseProcessor({ seed: options.seed });
     this.storage = options.storage || new StorageAdapter.Memory();
+    this.validator = new MockApiConfigValidator();
+    this.collection = new MockApiCollection();
+    this.sequences = new MockApiSequences();
+    // Storage writes run one at a time, so a sequence save never overlaps
+    // with, or is overwritten by, another save
+    this.saveQueue = Promise.resolve();
+    this.validateOnSave = options.validate !== false;
+    this.notFoundDiagnostics = options.notFoundDiagnostics !== false;
+    this.environment = options.environment || null;
+    this.tags = this.parseTags(options.tags);
     this.cache = {
       data: null,
       timestamp: 0,
       ttl: options.cacheTtl || 60000 // 1 minute default
     };
+    // Flattened routes, keyed by the configuration object they were loaded from
+    this.loadedRoutes = new WeakMap();
   }
 
   async getApiData() {
@@ -32,57 +52,461 @@ class ServerlessApiMockery {
     }
   }
 
+  /**
+   * Validate a mock API configuration against the configuration schema
+   * @param {Object} data Mock API configuration
+   * @returns {Object} Object with a `valid` flag and a list of `errors`
+   */
+  validateApiData(data) {
+    return this.validator.validate(data);
+  }
+
   async saveApiData(updatedData) {
+    return this.enqueueSave(async () => {
+      try {
+        // Sequence values are kept when a configuration leaves out its state
+        let data = updatedData;
+        if (data && typeof data === 'object' && !('state' in data)) {
+          const state = await this.getStoredState();
+          if (state) {
+            data = { ...data, state };
+          }
+        }
+
+        await this.storage.saveData(data);
+        // The configuration may be the cached object, changed in place
+        this.forgetRoutes(updatedData);
+        this.cache.data = data;
+        this.cache.timestamp = Date.now();
+        return true;
+      } catch (error) {
+        console.error("Error saving API data:", error);
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Get the `state` section of the stored configuration. A stored
+   * configuration that cannot be read, for example a corrupt file, has no
+   * state worth keeping and must not prevent a good one from replacing it.
+   * @returns {Promise<Object|undefined>} Stored state, if any
+   */
+  async getStoredState() {
     try {
-      await this.storage.saveData(updatedData);
-      this.cache.data = updatedData;
-      this.cache.timestamp = Date.now();
-      return true;
+      const stored = await this.storage.getData();
+      return (stored && stored.state) || undefined;
     } catch (error) {
-      console.error("Error saving API data:", error);
-      throw error;
+      console.error("Error reading stored state:", error);
+      return undefined;
+    }
+  }
+
+  /**
+   * Run a storage write after all pending writes have finished
+   * @param {Function} task Async function performing the write
+   * @returns {Promise} Result of the task
+   */
+  enqueueSave(task) {
+    const result = this.saveQueue.then(task);
+    this.saveQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Persist sequence values issued since the last save into the stored
+   * configuration's `state` section, so that they survive restarts. The
+   * latest stored configuration is read first and only its sequence values
+   * change, so a newer configuration saved by another instance is kept.
+   */
+  async saveSequences() {
+    if (!this.sequences.dirty) {
+      return;
+    }
+
+    try {
+      await this.enqueueSave(async () => {
+        // An earlier save may already have written these values
+        if (!this.sequences.dirty) {
+          return;
+        }
+        this.sequences.dirty = false;
+
+        const latest = await this.storage.getData();
+        this.sequences.apply(latest);
+        await this.storage.saveData(latest);
+        this.keepRoutes(this.cache.data, latest);
+        this.cache.data = latest;
+        this.cache.timestamp = Date.now();
+      });
+    } catch (error) {
+      // Try again with the next issued value
+      this.sequences.dirty = true;
+      console.error("Error saving sequences:", error);
+    }
+  }
+
+  /**
+   * Reset one or all sequences and persist the change
+   * @param {string} [name] Sequence to reset, all sequences if omitted
+   * @returns {Promise<Array>} Names of the reset sequences
+   */
+  async resetSequences(name) {
+    return this.enqueueSave(async () => {
+      const data = await this.storage.getData();
+      const names = this.sequences.reset(data, name);
+      await this.storage.saveData(data);
+      this.cache.data = data;
+      this.cache.timestamp = Date.now();
+      return names;
+    });
+  }
+
+  /**
+   * Drop the flattened routes and compiled index of a configuration, so
+   * they are rebuilt the next time it is used
+   * @param {Object} data Mock API configuration
+   */
+  forgetRoutes(data) {
+    if (!data || typeof data !== 'object') {
+      return;
+    }
+    const routes = this.loadedRoutes.get(data);
+    if (routes) {
+      this.router.invalidateRouteIndex(routes);
+      this.loadedRoutes.delete(data);
+    }
+  }
+
+  /**
+   * Carry the flattened routes and compiled index of a configuration over to
+   * a newer copy of it, when its routes and groups are unchanged. Saving
+   * sequence values reloads the configuration, and recompiling a large
+   * route index on every request issuing a value would be wasted work.
+   * @param {Object} previous Configuration the routes were loaded from
+   * @param {Object} data Newer copy of the configuration
+   */
+  keepRoutes(previous, data) {
+    if (!previous || !data || previous === data || this.loadedRoutes.has(data)) {
+      return;
+    }
+    const routes = this.loadedRoutes.get(previous);
+    const definition = config => JSON.stringify([config.routes, config.groups]);
+    if (routes && definition(previous) === definition(data)) {
+      this.loadedRoutes.set(data, routes);
     }
   }
 
+  /**
+   * Get the flattened routes of a configuration, loading them once per
+   * configuration object
+   * @param {Object} data Mock API configuration
+   * @returns {Array} Validated routes with groups flattened
+   */
+  getRoutes(data) {
+    if (!data || typeof data !== 'object') {
+      return this.router.loadRoutes(data);
+    }
+
+    let routes = this.loadedRoutes.get(data);
+    if (!routes) {
+      routes = this.router.loadRoutes(data);
+      this.loadedRoutes.set(data, routes);
+    }
+    return routes;
+  }
+
   async handleRequest(req) {
     const data = await this.getApiData();
+    const routes = this.getRoutes(data);
     const method = req.method.toLowerCase();
     const path = req.path;
     
+    const matchOptions = {
+      // Express' req.hostname has no port, so the Host header comes first
+      host: this.router.getHeader(req.headers || {}, 'host') || req.hostname,
+      ...this.getActiveSelection(req)
+    };
+    
     // Find matching route
-    const { route, pathParams } = this.router.findMatchingRoute(data.routes, method, path);
+    const { route, pathParams } = this.router.findMatchingRoute(routes, method, path, matchOptions);
     
-    if (!route) {
+    if (route) {
+      const response = this.buildRouteResponse(route, pathParams, req, data);
+      await this.saveSequences();
+      return response;
+    }
+    
+    // HEAD falls back to the GET route, without a body and without side
+    // effects such as issuing sequence values
+    if (method === 'head') {
+      const getMatch = this.router.findMatchingRoute(routes, 'get', path, matchOptions);
+      if (getMatch.route) {
+        const response = this.buildRouteResponse(getMatch.route, getMatch.pathParams, req, data, { readOnly: true });
+        return { ...response, body: undefined };
+      }
+    }
+    
+    const allowedMethods = this.router.findAllowedMethods(routes, path, matchOptions);
+    
+    if (allowedMethods.length > 0) {
+      const allow = this.getAllowHeader(allowedMethods);
+      
+      if (method === 'options') {
+        return {
+          statusCode: 204,
+          headers: { Allow: allow },
+          body: undefined
+        };
+      }
+      
       return {
-        statusCode: 404,
+        statusCode: 405,
+        headers: { Allow: allow },
         body: {
-          error: "Mock API endpoint not found",
+          error: "Method not allowed",
           requestedPath: path,
-          requestedMethod: method
+          requestedMethod: method,
+          allowedMethods: allow.split(', ')
         }
       };
     }
     
-    // Process the response with parameters
-    const responseData = this.processor.processResponse(route.response, {
+    const notFound = {
+      statusCode: 404,
+      body: {
+        error: "Mock API endpoint not found",
+        requestedPath: path,
+        requestedMethod: method
+      }
+    };
+    
+    if (this.notFoundDiagnostics) {
+      notFound.body.nearMatches = this.router.findNearMisses(routes, method, path, matchOptions);
+    }
+    
+    return notFound;
+  }
+
+  /**
+   * Get the environment and tags selecting active routes for a request.
+   * The X-Mock-Environment and X-Mock-Tags request headers override the
+   * constructor options.
+   * @param {Object} req Incoming request
+   * @returns {Object} Active environment and tags
+   */
+  getActiveSelection(req) {
+    const headers = req.headers || {};
+    const environment = this.router.getHeader(headers, 'x-mock-environment');
+    const tags = this.router.getHeader(headers, 'x-mock-tags');
+    
+    return {
+      environment: environment || this.environment,
+      tags: tags !== undefined ? this.parseTags(tags) : this.tags
+    };
+  }
+
+  /**
+   * Normalize a tag selection given as an array or comma separated string
+   * @param {Array|string} tags Tag selection
+   * @returns {Array} Tag names
+   */
+  parseTags(tags) {
+    if (!tags) {
+      return [];
+    }
+    const list = Array.isArray(tags) ? tags : String(tags).split(',');
+    return list.map(tag => String(tag).trim()).filter(Boolean);
+  }
+
+  /**
+   * Build the response for a matched route, answering 500 with the error
+   * message when the route's templates contain an unresolvable "$ref"
+   * @param {Object} route Matched route configuration
+   * @param {Object} pathParams Extracted path parameters
+   * @param {Object} req Incoming request
+   * @param {Object} data Mock API configuration
+   * @param {Object} [options] Options passed to buildResponse
+   * @returns {Object} Response with statusCode, headers, body and delay
+   */
+  buildRouteResponse(route, pathParams, req, data, options) {
+    try {
+      return this.buildResponse(route, pathParams, req, data, options);
+    } catch (error) {
+      if (error instanceof TemplateReferenceError) {
+        return { statusCode: 500, headers: {}, body: { error: error.message } };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Build the response for a matched route
+   * @param {Object} route Matched route configuration
+   * @param {Object} pathParams Extracted path parameters
+   * @param {Object} req Incoming request
+   * @param {Object} [data] Mock API configuration, whose mockData templates can reference
+   * @param {Object} [options] Build options
+   * @param {boolean} [options.readOnly] Whether to leave sequences untouched;
+   *   {seq:name} then repeats the last issued value
+   * @returns {Object} Response with statusCode, headers, body and delay
+   * @throws {TemplateReferenceError} If a "$ref" in the templates cannot be resolved
+   */
+  buildResponse(route, pathParams, req, data = {}, { readOnly = false } = {}) {
+    // Pick the response variant matching the request, if the route has any
+    const variant = this.router.selectVariant(route, {
+      pathParams,
+      queryParams: req.query,
+      headers: req.headers,
+      body: req.body
+    }) || {};
+    
+    const params = {
       pathParams, 
       queryParams: req.query, 
-      body: req.body
-    });
+      body: req.body,
+      headers: req.headers || {},
+      cookies: this.getCookies(req),
+      request: this.getRequestInfo(req),
+      mockData: (data && data.mockData) || {},
+      templates: (data && data.templates) || {},
+      seed: 'seed' in variant ? variant.seed : route.seed,
+      sequences: {
+        next: name => (readOnly ? this.sequences.current(data, name) : this.sequences.next(data, name)),
+        current: name => this.sequences.current(data, name)
+      }
+    };
+    const template = 'response' in variant ? variant.response : route.response;
+    let collectionHeaders = {};
+    let responseData;
+    
+    if (route.collection) {
+      // Collection routes page through a mockData list based on the query string
+      const page = this.collection.query(params.mockData, route.collection, req.query || {});
+      if (page.error) {
+        return { statusCode: 400, headers: {}, body: { error: page.error } };
+      }
+      
+      const result = JSON.parse(JSON.stringify({ data: page.data, meta: page.meta }));
+      const link = this.collection.buildLinkHeader(req.path, req.query || {}, page);
+      collectionHeaders = { 'X-Total-Count': String(page.meta.total) };
+      if (link) {
+        collectionHeaders.Link = link;
+      }
+      
+      // A response template can reshape the page, available as {collection}
+      params.scope = { collection: result };
+      responseData = template === undefined ? result : this.processor.processResponse(template, params);
+    } else if (template === undefined && Array.isArray(route.variants)) {
+      // No variant matched and the route has no response of its own to fall back to
+      return {
+        statusCode: 500,
+        headers: {},
+        body: {
+          error: `No variant of ${route.method.toUpperCase()} ${route.path} matches the request, and the route has no default response`
+        }
+      };
+    } else {
+      // Process the response with parameters
+      responseData = this.processor.processResponse(template, params);
+    }
+    
+    // Header values may use placeholders too, e.g. to echo a correlation id
+    const headers = {
+      ...collectionHeaders,
+      ...this.processor.processResponse({ ...route.headers, ...variant.headers }, params)
+    };
     
     return {
-      statusCode: route.statusCode || 200,
-      headers: route.headers || {},
+      statusCode: variant.statusCode || route.statusCode || 200,
+      headers,
       body: responseData,
-      delay: route.delay
+      delay: 'delay' in variant ? variant.delay : route.delay
     };
   }
 
+  /**
+   * Get the request cookies, as parsed by cookie-parser or from the Cookie header
+   * @param {Object} req Incoming request
+   * @returns {Object} Cookie values keyed by name
+   */
+  getCookies(req) {
+    if (req.cookies && typeof req.cookies === 'object') {
+      return req.cookies;
+    }
+    
+    const cookies = {};
+    const header = this.router.getHeader(req.headers || {}, 'cookie');
+    if (!header) {
+      return cookies;
+    }
+    
+    for (const pair of String(header).split(';')) {
+      const separator = pair.indexOf('=');
+      if (separator === -1) {
+        continue;
+      }
+      const name = pair.slice(0, separator).trim();
+      let value = pair.slice(separator + 1).trim().replace(/^"(.*)"$/, '$1');
+      try {
+        value = decodeURIComponent(value);
+      } catch (error) {
+        // Keep malformed values as sent
+      }
+      if (name && !(name in cookies)) {
+        cookies[name] = value;
+      }
+    }
+    return cookies;
+  }
+
+  /**
+   * Get request metadata available to templates as {request.*}
+   * @param {Object} req Incoming request
+   * @returns {Object} Request method, path, ip and id. The id is taken from
+   *   the X-Request-Id or X-Correlation-Id header or the API Gateway request
+   *   context, or generated if none is present.
+   */
+  getRequestInfo(req) {
+    const headers = req.headers || {};
+    const forwardedFor = this.router.getHeader(headers, 'x-forwarded-for');
+    const requestContext = req.requestContext || {};
+    
+    return {
+      method: req.method.toUpperCase(),
+      path: req.path,
+      ip: req.ip
+        || (forwardedFor && String(forwardedFor).split(',')[0].trim())
+        || (req.socket && req.socket.remoteAddress)
+        || (requestContext.identity && requestContext.identity.sourceIp),
+      id: this.router.getHeader(headers, 'x-request-id')
+        || this.router.getHeader(headers, 'x-correlation-id')
+        || req.id
+        || requestContext.requestId
+        || this.processor.faker.uuid()
+    };
+  }
+
+  /**
+   * Build an Allow header value from configured methods, adding the
+   * automatically handled HEAD (when GET exists) and OPTIONS methods
+   * @param {Array} methods Upper-case configured methods
+   * @returns {string} Comma separated method list
+   */
+  getAllowHeader(methods) {
+    const allowed = new Set(methods);
+    if (allowed.has('GET')) {
+      allowed.add('HEAD');
+    }
+    allowed.add('OPTIONS');
+    return Array.from(allowed).sort().join(', ');
+  }
+
   // Express middleware
   middleware() {
     return async (req, res, next) => {
       // Skip middleware for management endpoints
-      if (req.path === '/mock-data') {
+      if (req.path === '/mock-data' || req.path.startsWith('/mock-data/')) {
         return next();
       }
 
@@ -104,8 +528,12 @@ class ServerlessApiMockery {
           await new Promise(resolve => setTimeout(resolve, parseInt(response.delay)));
         }
         
-        // Send response
-        res.json(response.body);
+        // Send response, HEAD and OPTIONS responses have no body
+        if (response.body === undefined) {
+          res.end();
+        } else {
+          res.json(response.body);
+        }
       } catch (error) {
         console.error("Error in mock API middleware:", error);
         res.status(500).json({ error: "Server error" });
@@ -125,6 +553,13 @@ class ServerlessApiMockery {
     });
 
     app.post("/mock-data", async (req, res) => {
+      if (this.validateOnSave) {
+        const { valid, errors } = this.validateApiData(req.body);
+        if (!valid) {
+          return res.status(400).json({ error: "Invalid mock data", errors });
+        }
+      }
+
       try {
         await this.saveApiData(req.body);
         res.json({ message: "Mock data updated successfully" });
@@ -133,10 +568,21 @@ class ServerlessApiMockery {
         res.status(500).json({ error: "Failed to update mock data" });
       }
     });
+
+    app.delete("/mock-data/sequences/:name?", async (req, res) => {
+      try {
+        const reset = await this.resetSequences(req.params.name);
+        res.json({ message: "Sequences reset successfully", sequences: reset });
+      } catch (error) {
+        console.error("Error resetting sequences:", error);
+        res.status(500).json({ error: "Failed to reset sequences" });
+      }
+    });
   }
 }
 
 module.exports = ServerlessApiMockery;
 module.exports.Router = MockApiRouter;
 module.exports.ResponseProcessor = MockApiResponseProcessor;
-module.exports.StorageAdapter = StorageAdapter;
\ No newline at end of file
+module.exports.StorageAdapter = StorageAdapter;
+module.exports.Validator = MockApiConfigValidator;
\ No newline at end of file
@@ -0,0 +1,267 @@
+// File: lib/collection.js
+
+// Query parameters controlling pagination and sorting, never used as filters
+const RESERVED_PARAMS = ['page', 'limit', 'offset', 'cursor', 'sort'];
+
+class MockApiCollection {
+  /**
+   * @param {Object} [options] Default collection options
+   * @param {number} [options.defaultLimit] Page size when ?limit is not given (defaults to 20)
+   * @param {number} [options.maxLimit] Largest accepted ?limit (defaults to 100)
+   */
+  constructor(options = {}) {
+    this.defaultLimit = options.defaultLimit || 20;
+    this.maxLimit = options.maxLimit || 100;
+  }
+
+  /**
+   * Normalize a route's collection setting
+   * @param {string|Object} config Collection name in mockData, or an object
+   *   with `source`, `defaultLimit`, `maxLimit` and `filterable`
+   * @returns {Object} Collection options
+   */
+  normalizeConfig(config) {
+    const options = typeof config === 'string' ? { source: config } : { ...config };
+    return {
+      source: options.source,
+      defaultLimit: options.defaultLimit || this.defaultLimit,
+      maxLimit: options.maxLimit || this.maxLimit,
+      filterable: Array.isArray(options.filterable) ? options.filterable : null
+    };
+  }
+
+  /**
+   * Filter, sort and paginate a collection from mockData
+   * @param {Object} mockData The configuration's mockData section
+   * @param {string|Object} config Route collection setting
+   * @param {Object} queryParams Request query parameters
+   * @returns {Object} Page with `data` (the items of the page), `meta` (total,
+   *   count, limit, offset, page, totalPages, nextCursor, prevCursor) and
+   *   `mode` (page, offset or cursor, the pagination style of the request).
+   *   If the query is invalid, an `error` message instead.
+   */
+  query(mockData, config, queryParams = {}) {
+    const options = this.normalizeConfig(config);
+    const source = this.getPath(mockData, options.source);
+    let items = Array.isArray(source)
+      ? source
+      : (source !== null && typeof source === 'object' ? Object.values(source) : []);
+
+    items = this.filterItems(items, queryParams, options.filterable);
+    if (queryParams.sort) {
+      items = this.sortItems(items, String(queryParams.sort));
+    }
+
+    const limit = this.parseLimit(queryParams.limit, options);
+    let offset = 0;
+    let mode = 'page';
+
+    if (queryParams.cursor !== undefined) {
+      offset = this.decodeCursor(queryParams.cursor);
+      mode = 'cursor';
+      if (offset === null) {
+        return { error: 'Invalid cursor' };
+      }
+    } else if (queryParams.offset !== undefined) {
+      offset = Math.max(parseInt(queryParams.offset, 10) || 0, 0);
+      mode = 'offset';
+    } else if (queryParams.page !== undefined) {
+      offset = (Math.max(parseInt(queryParams.page, 10) || 1, 1) - 1) * limit;
+    }
+
+    const total = items.length;
+    const data = items.slice(offset, offset + limit);
+    const hasNext = offset + limit < total;
+
+    return {
+      data,
+      mode,
+      meta: {
+        total,
+        count: data.length,
+        limit,
+        offset,
+        page: Math.floor(offset / limit) + 1,
+        totalPages: Math.ceil(total / limit),
+        nextCursor: hasNext ? this.encodeCursor(offset + limit) : null,
+        prevCursor: offset > 0 ? this.encodeCursor(Math.max(offset - limit, 0)) : null
+      }
+    };
+  }
+
+  /**
+   * Keep items whose fields equal the filter query parameters. Without a
+   * `filterable` list, a parameter filters only if some item has that field,
+   * so unrelated parameters such as ?include=x are ignored. A repeated
+   * parameter (?role=admin&role=editor) matches any of its values.
+   * @param {Array} items Items to filter
+   * @param {Object} queryParams Request query parameters
+   * @param {Array|null} filterable Fields that may be filtered on, or null for any field
+   * @returns {Array} Matching items
+   */
+  filterItems(items, queryParams, filterable) {
+    const filters = Object.keys(queryParams).filter(name => {
+      if (RESERVED_PARAMS.includes(name)) {
+        return false;
+      }
+      if (filterable) {
+        return filterable.includes(name);
+      }
+      return items.some(item => this.getPath(item, name) !== undefined);
+    });
+
+    return items.filter(item => filters.every(name => {
+      const value = this.getPath(item, name);
+      const expected = [].concat(queryParams[name]);
+      return expected.some(option => value !== undefined && value !== null && String(value) === String(option));
+    }));
+  }
+
+  /**
+   * Sort items by one or more fields: "name", "-createdAt", "role,name:desc"
+   * @param {Array} items Items to sort
+   * @param {string} sort Comma separated fields, each descending with a ":desc" suffix or "-" prefix
+   * @returns {Array} Sorted copy of the items
+   */
+  sortItems(items, sort) {
+    const keys = sort.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+      const [field, direction] = part.split(':');
+      const descending = field.startsWith('-') || (direction || '').toLowerCase() === 'desc';
+      return { field: field.replace(/^[-+]/, ''), order: descending ? -1 : 1 };
+    });
+
+    return items
+      .map((item, index) => ({ item, index }))
+      .sort((a, b) => {
+        for (const { field, order } of keys) {
+          const result = this.compareValues(this.getPath(a.item, field), this.getPath(b.item, field), order);
+          if (result !== 0) {
+            return result;
+          }
+        }
+        return a.index - b.index;
+      })
+      .map(entry => entry.item);
+  }
+
+  /**
+   * Compare two field values: numbers numerically, other values as text.
+   * Missing values sort last in either direction.
+   * @param {*} a First value
+   * @param {*} b Second value
+   * @param {number} order 1 for ascending, -1 for descending
+   * @returns {number} Negative, zero or positive
+   */
+  compareValues(a, b, order) {
+    const aMissing = a === undefined || a === null;
+    const bMissing = b === undefined || b === null;
+    if (aMissing || bMissing) {
+      return aMissing === bMissing ? 0 : (aMissing ? 1 : -1);
+    }
+    if (typeof a === 'number' && typeof b === 'number') {
+      return (a - b) * order;
+    }
+    return String(a).localeCompare(String(b)) * order;
+  }
+
+  /**
+   * Parse the ?limit parameter
+   * @param {string} limit Requested page size
+   * @param {Object} options Collection options
+   * @returns {number} Page size between 1 and the maximum
+   */
+  parseLimit(limit, options) {
+    const value = parseInt(limit, 10);
+    if (!(value > 0)) {
+      return options.defaultLimit;
+    }
+    return Math.min(value, options.maxLimit);
+  }
+
+  /**
+   * Encode an offset as an opaque cursor
+   * @param {number} offset Offset of the first item of a page
+   * @returns {string} Cursor
+   */
+  encodeCursor(offset) {
+    return Buffer.from(`offset:${offset}`).toString('base64');
+  }
+
+  /**
+   * Decode a cursor created by encodeCursor
+   * @param {string} cursor Cursor from the request
+   * @returns {number|null} Offset, or null if the cursor is invalid
+   */
+  decodeCursor(cursor) {
+    const match = Buffer.from(String(cursor), 'base64').toString().match(/^offset:(\d+)$/);
+    return match ? parseInt(match[1], 10) : null;
+  }
+
+  /**
+   * Build the Link header (RFC 8288) for a page, keeping the other query parameters
+   * @param {string} path Request path
+   * @param {Object} queryParams Request query parameters
+   * @param {Object} page Result of query()
+   * @returns {string} Link header value, empty if there is only one page
+   */
+  buildLinkHeader(path, queryParams, page) {
+    const { meta, mode } = page;
+    const links = [];
+    const lastOffset = Math.max(meta.totalPages - 1, 0) * meta.limit;
+
+    const link = (rel, offset) => {
+      const query = { ...queryParams };
+      delete query.page;
+      delete query.offset;
+      delete query.cursor;
+      query.limit = meta.limit;
+
+      if (mode === 'cursor') {
+        query.cursor = this.encodeCursor(offset);
+      } else if (mode === 'offset') {
+        query.offset = offset;
+      } else {
+        query.page = Math.floor(offset / meta.limit) + 1;
+      }
+
+      const search = Object.keys(query)
+        .map(name => [].concat(query[name])
+          .map(value => `${encodeURIComponent(name)}=${encodeURIComponent(value)}`)
+          .join('&'))
+        .join('&');
+      links.push(`<${path}?${search}>; rel="${rel}"`);
+    };
+
+    if (meta.offset > 0) {
+      link('first', 0);
+      link('prev', Math.max(meta.offset - meta.limit, 0));
+    }
+    if (meta.offset + meta.limit < meta.total) {
+      link('next', meta.offset + meta.limit);
+      link('last', lastOffset);
+    }
+    return links.join(', ');
+  }
+
+  /**
+   * Read a dotted path such as "address.city" from a value
+   * @param {*} value Value to read from
+   * @param {string} path Dotted path
+   * @returns {*} Value at the path, or undefined
+   */
+  getPath(value, path) {
+    if (!path) {
+      return value;
+    }
+    let current = value;
+    for (const part of String(path).split('.')) {
+      if (current === null || typeof current !== 'object' || !Object.prototype.hasOwnProperty.call(current, part)) {
+        return undefined;
+      }
+      current = current[part];
+    }
+    return current;
+  }
+}
+
+module.exports = MockApiCollection;
@@ -0,0 +1,303 @@
+// File: lib/date.js
+const UNIT_MS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const FORMAT_TOKENS = /\[([^\]]*)]|YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|HH|H|hh|h|mm|m|ss|s|SSS|A|a|ZZ|Z|X|x/g;
+
+class DateValue {
+  /**
+   * @param {number} time Milliseconds since the epoch
+   * @param {Object} [options] Date options
+   * @param {number} [options.offset] UTC offset in minutes used for calendar
+   *   arithmetic, anchors and formatting (defaults to 0, i.e. UTC)
+   * @param {boolean} [options.milliseconds] Whether the plain numeric value is
+   *   in milliseconds rather than seconds
+   */
+  constructor(time, { offset = 0, milliseconds = false } = {}) {
+    this.time = time;
+    this.offset = offset;
+    this.milliseconds = milliseconds;
+  }
+
+  /**
+   * Create a date from a request value: a DateValue, epoch seconds or
+   * milliseconds (numbers below 1e11 are taken as seconds), or a date string.
+   * An offset at the end of an ISO-8601 string is kept.
+   * @param {*} value Value to convert
+   * @returns {DateValue|null} Date, or null if the value is not a date
+   */
+  static from(value) {
+    if (value instanceof DateValue) {
+      return value;
+    }
+
+    if (typeof value === 'number' || (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim()))) {
+      const number = Number(value);
+      return Math.abs(number) < 1e11
+        ? new DateValue(number * 1000)
+        : new DateValue(number, { milliseconds: true });
+    }
+
+    if (typeof value === 'string') {
+      const time = Date.parse(value);
+      if (isNaN(time)) {
+        return null;
+      }
+      const offsetMatch = value.trim().match(/T.*([+-]\d{2}):?(\d{2})$/);
+      const offset = offsetMatch ? DateValue.parseOffset(`${offsetMatch[1]}:${offsetMatch[2]}`) : 0;
+      return new DateValue(time, { offset });
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse a UTC offset such as "+05:30", "-0800", "+2", "Z" or "UTC"
+   * @param {string|number} offset Offset text, or a number of hours
+   * @returns {number|null} Offset in minutes, or null if invalid
+   */
+  static parseOffset(offset) {
+    if (typeof offset === 'number') {
+      return Math.round(offset * 60);
+    }
+
+    const text = String(offset).trim();
+    if (/^(z|utc|gmt)$/i.test(text)) {
+      return 0;
+    }
+
+    const match = text.match(/^([+-])(\d{1,2})(?::?(\d{2}))?$/);
+    if (!match) {
+      return null;
+    }
+    const minutes = parseInt(match[2], 10) * 60 + parseInt(match[3] || '0', 10);
+    return match[1] === '-' ? -minutes : minutes;
+  }
+
+  /**
+   * Copy of this date with some options changed
+   * @param {number} time Milliseconds since the epoch
+   * @param {Object} [changes] Options to change
+   * @returns {DateValue} New date
+   */
+  with(time, changes = {}) {
+    return new DateValue(time, {
+      offset: this.offset,
+      milliseconds: this.milliseconds,
+      ...changes
+    });
+  }
+
+  /**
+   * Calendar fields in the date's offset
+   * @returns {Date} Date whose UTC fields are the local fields of this date
+   */
+  local() {
+    return new Date(this.time + this.offset * 60 * 1000);
+  }
+
+  /**
+   * Build a date from local calendar fields
+   * @param {Date} local Date whose UTC fields are local fields
+   * @returns {DateValue} New date
+   */
+  fromLocal(local) {
+    return this.with(local.getTime() - this.offset * 60 * 1000);
+  }
+
+  /**
+   * Add an amount of a unit. Months and years follow the calendar, keeping
+   * the day of month where possible (Jan 31 + 1 month is Feb 28 or 29).
+   * @param {number} amount Amount to add, may be negative
+   * @param {string} unit One of ms, s, m, h, d, w, M, y
+   * @returns {DateValue|null} New date, or null for unknown units
+   */
+  add(amount, unit) {
+    if (UNIT_MS[unit]) {
+      return this.with(this.time + amount * UNIT_MS[unit]);
+    }
+
+    if (unit !== 'M' && unit !== 'y') {
+      return null;
+    }
+
+    const local = this.local();
+    const months = unit === 'y' ? amount * 12 : amount;
+    const day = local.getUTCDate();
+    local.setUTCDate(1);
+    local.setUTCMonth(local.getUTCMonth() + months);
+    const lastDay = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth() + 1, 0)).getUTCDate();
+    local.setUTCDate(Math.min(day, lastDay));
+    return this.fromLocal(local);
+  }
+
+  /**
+   * Start of the minute, hour, day, week (Monday), month or year containing this date
+   * @param {string} unit Unit to round down to
+   * @returns {DateValue|null} New date, or null for unknown units
+   */
+  startOf(unit) {
+    const local = this.local();
+
+    switch (unit) {
+      case 'year':
+        local.setUTCMonth(0, 1);
+        local.setUTCHours(0, 0, 0, 0);
+        break;
+      case 'month':
+        local.setUTCDate(1);
+        local.setUTCHours(0, 0, 0, 0);
+        break;
+      case 'week':
+        local.setUTCDate(local.getUTCDate() - (local.getUTCDay() + 6) % 7);
+        local.setUTCHours(0, 0, 0, 0);
+        break;
+      case 'day':
+        local.setUTCHours(0, 0, 0, 0);
+        break;
+      case 'hour':
+        local.setUTCMinutes(0, 0, 0);
+        break;
+      case 'minute':
+        local.setUTCSeconds(0, 0);
+        break;
+      default:
+        return null;
+    }
+
+    return this.fromLocal(local);
+  }
+
+  /**
+   * Last millisecond of the minute, hour, day, week, month or year containing this date
+   * @param {string} unit Unit to round up to
+   * @returns {DateValue|null} New date, or null for unknown units
+   */
+  endOf(unit) {
+    const start = this.startOf(unit);
+    if (!start) {
+      return null;
+    }
+
+    const units = { year: [1, 'y'], month: [1, 'M'], week: [1, 'w'], day: [1, 'd'], hour: [1, 'h'], minute: [1, 'm'] };
+    const [amount, step] = units[unit];
+    return start.with(start.add(amount, step).time - 1);
+  }
+
+  /**
+   * Format the offset as +HH:MM or +HHMM
+   * @param {string} [separator] Separator between hours and minutes
+   * @returns {string} Formatted offset
+   */
+  formatOffset(separator = ':') {
+    const sign = this.offset < 0 ? '-' : '+';
+    const minutes = Math.abs(this.offset);
+    return `${sign}${pad(Math.floor(minutes / 60))}${separator}${pad(minutes % 60)}`;
+  }
+
+  /**
+   * ISO-8601 representation; UTC dates end with "Z", others with their offset
+   * @returns {string} ISO-8601 date
+   */
+  toISOString() {
+    if (this.offset === 0) {
+      return new Date(this.time).toISOString();
+    }
+    return this.format('YYYY-MM-DD[T]HH:mm:ss.SSS') + this.formatOffset();
+  }
+
+  /**
+   * RFC 2822 representation, as used in HTTP and e-mail headers
+   * @returns {string} Date such as "Fri, 01 Jan 2021 00:00:00 +0000"
+   */
+  toRFC2822() {
+    return this.format('ddd, DD MMM YYYY HH:mm:ss ZZ');
+  }
+
+  /**
+   * Format with tokens such as YYYY-MM-DD HH:mm:ss; text in square brackets
+   * is kept as is
+   * @param {string} pattern Format pattern
+   * @returns {string} Formatted date
+   */
+  format(pattern) {
+    const local = this.local();
+    const hours = local.getUTCHours();
+
+    return String(pattern).replace(FORMAT_TOKENS, (token, literal) => {
+      if (literal !== undefined) {
+        return literal;
+      }
+
+      switch (token) {
+        case 'YYYY': return String(local.getUTCFullYear());
+        case 'YY': return String(local.getUTCFullYear()).slice(-2);
+        case 'MMMM': return MONTH_NAMES[local.getUTCMonth()];
+        case 'MMM': return MONTH_NAMES[local.getUTCMonth()].slice(0, 3);
+        case 'MM': return pad(local.getUTCMonth() + 1);
+        case 'M': return String(local.getUTCMonth() + 1);
+        case 'DD': return pad(local.getUTCDate());
+        case 'D': return String(local.getUTCDate());
+        case 'dddd': return DAY_NAMES[local.getUTCDay()];
+        case 'ddd': return DAY_NAMES[local.getUTCDay()].slice(0, 3);
+        case 'HH': return pad(hours);
+        case 'H': return String(hours);
+        case 'hh': return pad(hours % 12 || 12);
+        case 'h': return String(hours % 12 || 12);
+        case 'mm': return pad(local.getUTCMinutes());
+        case 'm': return String(local.getUTCMinutes());
+        case 'ss': return pad(local.getUTCSeconds());
+        case 's': return String(local.getUTCSeconds());
+        case 'SSS': return pad(local.getUTCMilliseconds(), 3);
+        case 'A': return hours < 12 ? 'AM' : 'PM';
+        case 'a': return hours < 12 ? 'am' : 'pm';
+        case 'ZZ': return this.formatOffset('');
+        case 'Z': return this.formatOffset();
+        case 'X': return String(Math.floor(this.time / 1000));
+        default: return String(this.time);
+      }
+    });
+  }
+
+  /**
+   * Plain numeric value: epoch milliseconds for dates created with the (ms)
+   * flag, epoch seconds otherwise
+   * @returns {number} Epoch timestamp
+   */
+  valueOf() {
+    return this.milliseconds ? this.time : Math.floor(this.time / 1000);
+  }
+
+  /**
+   * Value used when the date is written as JSON
+   * @returns {number} Epoch timestamp, see valueOf
+   */
+  toJSON() {
+    return this.valueOf();
+  }
+}
+
+/**
+ * Left-pad a number with zeros
+ * @param {number} value Number to pad
+ * @param {number} [length] Minimum length
+ * @returns {string} Padded number
+ */
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0');
+}
+
+module.exports = DateValue;
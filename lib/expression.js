@@ -0,0 +1,622 @@
+// File: lib/expression.js
+
+const TOKEN = /\s*(?:(\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|([A-Za-z_$][\w$]*)|(===|!==|==|!=|<=|>=|&&|\|\||\?\?|[-+*/%<>!?:.,()[\]@]))/y;
+
+// Binding power of binary operators; higher binds tighter
+const PRECEDENCE = {
+  '||': 2, '??': 2,
+  '&&': 3,
+  '==': 4, '!=': 4, '===': 4, '!==': 4,
+  '<': 5, '<=': 5, '>': 5, '>=': 5,
+  '+': 6, '-': 6,
+  '*': 7, '/': 7, '%': 7
+};
+
+const KEYWORDS = { true: true, false: false, null: null };
+
+// Functions receiving their arguments unevaluated; the second argument is
+// evaluated once per list element, with @ set to the element
+const LIST_FUNCTIONS = ['map', 'filter'];
+
+class MockApiExpression {
+  /**
+   * @param {Object} [options] Evaluator options
+   * @param {Function} [options.isTruthy] Truthiness used by !, &&, ||, ?: and filter()
+   * @param {Function} [options.stringify] Conversion of values to text, used
+   *   for string concatenation and text functions
+   */
+  constructor(options = {}) {
+    this.isTruthy = options.isTruthy || (value => (Array.isArray(value) ? value.length > 0 : Boolean(value)));
+    this.stringify = options.stringify || (value => {
+      if (value === undefined || value === null) {
+        return '';
+      }
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+    this.functions = this.createDefaultFunctions();
+    // Parsed expressions, keyed by their source text
+    this.cache = new Map();
+  }
+
+  /**
+   * Built-in functions. Aggregates accept lists, several arguments or both:
+   * sum(body.items[*].price), max(1, query.limit).
+   * @returns {Object} Functions keyed by name
+   */
+  createDefaultFunctions() {
+    const text = value => this.stringify(value);
+    const numbers = args => flatten(args).map(toNumber).filter(value => value !== null);
+    const list = value => (Array.isArray(value) ? value : []);
+
+    return {
+      sum: (...args) => numbers(args).reduce((total, value) => total + value, 0),
+      avg: (...args) => {
+        const values = numbers(args);
+        return values.length ? values.reduce((total, value) => total + value, 0) / values.length : null;
+      },
+      min: (...args) => {
+        const values = numbers(args);
+        return values.length ? Math.min(...values) : null;
+      },
+      max: (...args) => {
+        const values = numbers(args);
+        return values.length ? Math.max(...values) : null;
+      },
+      len: value => {
+        if (typeof value === 'string' || Array.isArray(value)) {
+          return value.length;
+        }
+        return value !== null && typeof value === 'object' ? Object.keys(value).length : 0;
+      },
+      round: (value, digits = 0) => {
+        const factor = Math.pow(10, digits);
+        return Math.round(toNumber(value) * factor) / factor;
+      },
+      floor: value => Math.floor(toNumber(value)),
+      ceil: value => Math.ceil(toNumber(value)),
+      abs: value => Math.abs(toNumber(value)),
+      sqrt: value => Math.sqrt(toNumber(value)),
+      pow: (base, exponent) => Math.pow(toNumber(base), toNumber(exponent)),
+      number: value => toNumber(value),
+      int: value => {
+        const number = parseInt(value, 10);
+        return isNaN(number) ? null : number;
+      },
+      string: value => text(value),
+      upper: value => text(value).toUpperCase(),
+      lower: value => text(value).toLowerCase(),
+      trim: value => text(value).trim(),
+      concat: (...args) => (Array.isArray(args[0])
+        ? [].concat(...args)
+        : args.map(text).join('')),
+      join: (value, separator = ',') => list(value).map(text).join(text(separator)),
+      split: (value, separator = ',') => text(value).split(text(separator)),
+      contains: (value, search) => (Array.isArray(value)
+        ? value.some(item => this.equals(item, search, true))
+        : text(value).includes(text(search))),
+      startsWith: (value, search) => text(value).startsWith(text(search)),
+      endsWith: (value, search) => text(value).endsWith(text(search)),
+      replace: (value, search, replacement = '') => text(value).split(text(search)).join(text(replacement)),
+      slice: (value, start, end) => (Array.isArray(value) ? value : text(value)).slice(start, end),
+      first: value => list(value)[0],
+      last: value => list(value)[list(value).length - 1],
+      keys: value => (value !== null && typeof value === 'object' ? Object.keys(value) : []),
+      values: value => (value !== null && typeof value === 'object' ? Object.values(value) : []),
+      unique: value => list(value).filter((item, index, items) => (
+        items.findIndex(other => this.equals(item, other, true)) === index
+      )),
+      sort: value => list(value).slice().sort((a, b) => {
+        if (typeof a === 'number' && typeof b === 'number') {
+          return a - b;
+        }
+        return text(a).localeCompare(text(b));
+      }),
+      reverse: value => list(value).slice().reverse(),
+      coalesce: (...args) => args.find(value => value !== undefined && value !== null),
+      json: value => JSON.stringify(value)
+    };
+  }
+
+  /**
+   * Add or replace a function, e.g. registerFunction('vat', price => price * 0.2)
+   * @param {string} name Function name
+   * @param {Function} fn Function receiving the evaluated arguments
+   */
+  registerFunction(name, fn) {
+    this.functions[name] = fn;
+  }
+
+  /**
+   * Evaluate an expression such as `body.age >= 18` or
+   * `sum(body.items[*].price * body.items[*].qty)`. Only names resolved by
+   * the resolver and the registered functions are reachable; there is no
+   * access to JavaScript globals.
+   * @param {string} source Expression to evaluate
+   * @param {Function} resolve Function returning the value of a top-level
+   *   name such as `body` or `query`, or undefined
+   * @returns {*} Result
+   * @throws {Error} If the expression is invalid or calls an unknown function
+   */
+  evaluate(source, resolve) {
+    return this.evaluateNode(this.parse(source), { resolve, current: undefined });
+  }
+
+  /**
+   * Parse an expression into a syntax tree
+   * @param {string} source Expression
+   * @returns {Object} Syntax tree
+   * @throws {Error} If the expression is invalid
+   */
+  parse(source) {
+    if (this.cache.has(source)) {
+      return this.cache.get(source);
+    }
+
+    const state = { source, tokens: this.tokenize(source), position: 0 };
+    const tree = this.parseExpression(state, 0);
+    if (state.position < state.tokens.length) {
+      throw new Error(`Unexpected "${state.tokens[state.position].value}" in expression: ${source}`);
+    }
+
+    this.cache.set(source, tree);
+    return tree;
+  }
+
+  /**
+   * Split an expression into tokens
+   * @param {string} source Expression
+   * @returns {Array} Tokens with a type (number, string, name or operator) and value
+   * @throws {Error} On characters that are not part of the language
+   */
+  tokenize(source) {
+    const tokens = [];
+    let position = 0;
+
+    while (source.slice(position).trim()) {
+      TOKEN.lastIndex = position;
+      const match = TOKEN.exec(source);
+      if (!match) {
+        throw new Error(`Unexpected "${source.slice(position).trim()[0]}" in expression: ${source}`);
+      }
+      position = TOKEN.lastIndex;
+
+      if (match[1] !== undefined) {
+        tokens.push({ type: 'number', value: Number(match[1]) });
+      } else if (match[2] !== undefined) {
+        tokens.push({ type: 'string', value: match[2].slice(1, -1).replace(/\\(.)/g, '$1') });
+      } else if (match[3] !== undefined) {
+        tokens.push({ type: 'name', value: match[3] });
+      } else {
+        tokens.push({ type: 'operator', value: match[4] });
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Parse a binary or conditional expression whose operators bind tighter
+   * than a minimum
+   * @param {Object} state Parser state
+   * @param {number} minPrecedence Minimum binding power
+   * @returns {Object} Syntax tree
+   */
+  parseExpression(state, minPrecedence) {
+    let left = this.parseUnary(state);
+
+    for (;;) {
+      const token = state.tokens[state.position];
+      if (!token || token.type !== 'operator') {
+        return left;
+      }
+
+      if (token.value === '?' && minPrecedence <= 1) {
+        state.position++;
+        const consequent = this.parseExpression(state, 1);
+        this.expect(state, ':');
+        const alternate = this.parseExpression(state, 1);
+        left = { type: 'conditional', test: left, consequent, alternate };
+        continue;
+      }
+
+      const precedence = PRECEDENCE[token.value];
+      if (!precedence || precedence <= minPrecedence) {
+        return left;
+      }
+      state.position++;
+      left = { type: 'binary', operator: token.value, left, right: this.parseExpression(state, precedence) };
+    }
+  }
+
+  /**
+   * Parse `!a`, `-a` and `+a`
+   * @param {Object} state Parser state
+   * @returns {Object} Syntax tree
+   */
+  parseUnary(state) {
+    const token = state.tokens[state.position];
+    if (token && token.type === 'operator' && ['!', '-', '+'].includes(token.value)) {
+      state.position++;
+      return { type: 'unary', operator: token.value, operand: this.parseUnary(state) };
+    }
+    return this.parsePostfix(state);
+  }
+
+  /**
+   * Parse a primary value followed by `.name`, `[index]`, `[*]` and, for
+   * function names, an argument list. After a `[*]` projection, the rest of
+   * the chain applies to every element.
+   * @param {Object} state Parser state
+   * @returns {Object} Syntax tree
+   */
+  parsePostfix(state) {
+    let node = this.parsePrimary(state);
+    let project = false;
+
+    for (;;) {
+      if (this.accept(state, '.')) {
+        if (this.accept(state, '*')) {
+          node = { type: 'wildcard', object: node, project };
+          project = true;
+          continue;
+        }
+        const name = state.tokens[state.position];
+        if (!name || name.type !== 'name') {
+          throw new Error(`Expected a property name after "." in expression: ${state.source}`);
+        }
+        state.position++;
+        node = { type: 'member', object: node, property: { type: 'literal', value: name.value }, project };
+      } else if (this.accept(state, '[')) {
+        if (this.accept(state, '*')) {
+          this.expect(state, ']');
+          node = { type: 'wildcard', object: node, project };
+          project = true;
+          continue;
+        }
+        const property = this.parseExpression(state, 0);
+        this.expect(state, ']');
+        node = { type: 'member', object: node, property, project };
+      } else if (node.type === 'name' && this.accept(state, '(')) {
+        const args = [];
+        if (!this.accept(state, ')')) {
+          do {
+            args.push(this.parseExpression(state, 0));
+          } while (this.accept(state, ','));
+          this.expect(state, ')');
+        }
+        node = { type: 'call', name: node.name, args };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  /**
+   * Parse a literal, a name, `@` or a parenthesized expression
+   * @param {Object} state Parser state
+   * @returns {Object} Syntax tree
+   */
+  parsePrimary(state) {
+    const token = state.tokens[state.position];
+    if (!token) {
+      throw new Error(`Unexpected end of expression: ${state.source}`);
+    }
+    state.position++;
+
+    if (token.type === 'number' || token.type === 'string') {
+      return { type: 'literal', value: token.value };
+    }
+    if (token.type === 'name') {
+      return Object.prototype.hasOwnProperty.call(KEYWORDS, token.value)
+        ? { type: 'literal', value: KEYWORDS[token.value] }
+        : { type: 'name', name: token.value };
+    }
+    if (token.value === '@') {
+      return { type: 'current' };
+    }
+    if (token.value === '(') {
+      const expression = this.parseExpression(state, 0);
+      this.expect(state, ')');
+      return expression;
+    }
+    throw new Error(`Unexpected "${token.value}" in expression: ${state.source}`);
+  }
+
+  /**
+   * Consume an operator if it is next
+   * @param {Object} state Parser state
+   * @param {string} operator Operator to accept
+   * @returns {boolean} True if the operator was consumed
+   */
+  accept(state, operator) {
+    const token = state.tokens[state.position];
+    if (token && token.type === 'operator' && token.value === operator) {
+      state.position++;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Consume an operator that must be next
+   * @param {Object} state Parser state
+   * @param {string} operator Expected operator
+   * @throws {Error} If the next token is something else
+   */
+  expect(state, operator) {
+    if (!this.accept(state, operator)) {
+      throw new Error(`Expected "${operator}" in expression: ${state.source}`);
+    }
+  }
+
+  /**
+   * Evaluate a syntax tree
+   * @param {Object} node Syntax tree
+   * @param {Object} context Resolver and current element (@)
+   * @returns {*} Result
+   */
+  evaluateNode(node, context) {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+      case 'name':
+        return context.resolve(node.name);
+      case 'current':
+        return context.current;
+      case 'member':
+        return this.evaluateMember(node, context);
+      case 'wildcard': {
+        const object = this.evaluateNode(node.object, context);
+        const values = value => (value !== null && typeof value === 'object' ? Object.values(value) : []);
+        return node.project && Array.isArray(object)
+          ? object.reduce((all, item) => all.concat(values(item)), [])
+          : values(object);
+      }
+      case 'call':
+        return this.evaluateCall(node, context);
+      case 'unary':
+        return this.evaluateUnary(node.operator, this.evaluateNode(node.operand, context));
+      case 'conditional':
+        return this.isTruthy(this.evaluateNode(node.test, context))
+          ? this.evaluateNode(node.consequent, context)
+          : this.evaluateNode(node.alternate, context);
+      default:
+        return this.evaluateBinary(node, context);
+    }
+  }
+
+  /**
+   * Evaluate `.name` and `[index]` access; only own properties are visible
+   * @param {Object} node Member node
+   * @param {Object} context Evaluation context
+   * @returns {*} Property value, or undefined
+   */
+  evaluateMember(node, context) {
+    const object = this.evaluateNode(node.object, context);
+    const property = this.evaluateNode(node.property, context);
+
+    if (node.project && Array.isArray(object)) {
+      return object
+        .map(item => this.getProperty(item, property))
+        .filter(value => value !== undefined);
+    }
+    return this.getProperty(object, property);
+  }
+
+  /**
+   * Read an own property; negative array indexes count from the end
+   * @param {*} object Object, array or string
+   * @param {string|number} property Property name or index
+   * @returns {*} Property value, or undefined
+   */
+  getProperty(object, property) {
+    if (object === null || object === undefined) {
+      return undefined;
+    }
+    if ((Array.isArray(object) || typeof object === 'string') && typeof property === 'number') {
+      return object[property < 0 ? object.length + property : property];
+    }
+    if (typeof object !== 'object' && typeof object !== 'string') {
+      return undefined;
+    }
+    const key = String(property);
+    return Object.prototype.hasOwnProperty.call(object, key) ? object[key] : undefined;
+  }
+
+  /**
+   * Call a function from the library
+   * @param {Object} node Call node
+   * @param {Object} context Evaluation context
+   * @returns {*} Result
+   * @throws {Error} For unknown functions
+   */
+  evaluateCall(node, context) {
+    if (LIST_FUNCTIONS.includes(node.name)) {
+      const items = this.evaluateNode(node.args[0] || { type: 'literal' }, context);
+      const body = node.args[1] || { type: 'current' };
+      const list = Array.isArray(items) ? items : [];
+      const apply = item => this.evaluateNode(body, { resolve: context.resolve, current: item });
+
+      return node.name === 'map'
+        ? list.map(apply)
+        : list.filter(item => this.isTruthy(apply(item)));
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(this.functions, node.name)) {
+      throw new Error(`Unknown function "${node.name}" in expression`);
+    }
+    const args = node.args.map(arg => this.evaluateNode(arg, context));
+    return this.functions[node.name](...args);
+  }
+
+  /**
+   * Apply a unary operator; - and + apply to each element of a list
+   * @param {string} operator !, - or +
+   * @param {*} value Operand
+   * @returns {*} Result
+   */
+  evaluateUnary(operator, value) {
+    if (operator === '!') {
+      return !this.isTruthy(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.evaluateUnary(operator, item));
+    }
+    const number = toNumber(value);
+    return number === null ? null : (operator === '-' ? -number : number);
+  }
+
+  /**
+   * Evaluate a binary operator. && and || return one of their operands and
+   * only evaluate the right side when needed; ?? returns the right side for
+   * missing values and null.
+   * @param {Object} node Binary node
+   * @param {Object} context Evaluation context
+   * @returns {*} Result
+   */
+  evaluateBinary(node, context) {
+    const left = this.evaluateNode(node.left, context);
+
+    switch (node.operator) {
+      case '&&':
+        return this.isTruthy(left) ? this.evaluateNode(node.right, context) : left;
+      case '||':
+        return this.isTruthy(left) ? left : this.evaluateNode(node.right, context);
+      case '??':
+        return left === undefined || left === null ? this.evaluateNode(node.right, context) : left;
+      default:
+        return this.applyOperator(node.operator, left, this.evaluateNode(node.right, context));
+    }
+  }
+
+  /**
+   * Apply a comparison or arithmetic operator. Arithmetic on lists works
+   * element by element: [1, 2] * [3, 4] is [3, 8] and [1, 2] * 10 is [10, 20].
+   * @param {string} operator Operator
+   * @param {*} left Left value
+   * @param {*} right Right value
+   * @returns {*} Result; arithmetic without a finite result gives null
+   */
+  applyOperator(operator, left, right) {
+    switch (operator) {
+      case '==': return this.equals(left, right, false);
+      case '!=': return !this.equals(left, right, false);
+      case '===': return this.equals(left, right, true);
+      case '!==': return !this.equals(left, right, true);
+      case '<':
+      case '<=':
+      case '>':
+      case '>=':
+        return this.compare(operator, left, right);
+      default:
+        break;
+    }
+
+    if (Array.isArray(left) || Array.isArray(right)) {
+      if (Array.isArray(left) && Array.isArray(right)) {
+        const length = Math.min(left.length, right.length);
+        return left.slice(0, length).map((item, index) => this.applyOperator(operator, item, right[index]));
+      }
+      return Array.isArray(left)
+        ? left.map(item => this.applyOperator(operator, item, right))
+        : right.map(item => this.applyOperator(operator, left, item));
+    }
+
+    if (operator === '+' && (typeof left === 'string' || typeof right === 'string')) {
+      return this.stringify(left) + this.stringify(right);
+    }
+
+    const a = toNumber(left);
+    const b = toNumber(right);
+    if (a === null || b === null) {
+      return null;
+    }
+
+    let result;
+    switch (operator) {
+      case '+': result = a + b; break;
+      case '-': result = a - b; break;
+      case '*': result = a * b; break;
+      case '/': result = a / b; break;
+      default: result = a % b;
+    }
+    return isFinite(result) ? result : null;
+  }
+
+  /**
+   * Equality. Loose equality compares numbers with numeric strings by value,
+   * so `query.page == 2` holds for "?page=2"; objects compare by content.
+   * @param {*} a First value
+   * @param {*} b Second value
+   * @param {boolean} strict Whether types must match
+   * @returns {boolean} True if equal
+   */
+  equals(a, b, strict) {
+    if (a !== null && b !== null && typeof a === 'object' && typeof b === 'object') {
+      return JSON.stringify(a) === JSON.stringify(b);
+    }
+    if (!strict && (a === undefined || a === null) && (b === undefined || b === null)) {
+      return true;
+    }
+    if (!strict && typeof a !== typeof b && ['number', 'string'].includes(typeof a) && ['number', 'string'].includes(typeof b)) {
+      return toNumber(a) !== null && toNumber(a) === toNumber(b);
+    }
+    return a === b;
+  }
+
+  /**
+   * Ordering: two strings compare as text, anything else as numbers.
+   * Values that are not numbers never compare.
+   * @param {string} operator <, <=, > or >=
+   * @param {*} left Left value
+   * @param {*} right Right value
+   * @returns {boolean} Comparison result
+   */
+  compare(operator, left, right) {
+    let a = left;
+    let b = right;
+    if (typeof a !== 'string' || typeof b !== 'string') {
+      a = toNumber(left);
+      b = toNumber(right);
+      if (a === null || b === null) {
+        return false;
+      }
+    }
+
+    switch (operator) {
+      case '<': return a < b;
+      case '<=': return a <= b;
+      case '>': return a > b;
+      default: return a >= b;
+    }
+  }
+}
+
+/**
+ * Convert a value to a number
+ * @param {*} value Value to convert
+ * @returns {number|null} Number, or null for missing values, objects and non-numeric text
+ */
+function toNumber(value) {
+  if (typeof value === 'number') {
+    return isNaN(value) ? null : value;
+  }
+  if (typeof value === 'boolean') {
+    return Number(value);
+  }
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  return null;
+}
+
+/**
+ * Flatten nested lists of arguments
+ * @param {Array} values Values, possibly containing lists
+ * @returns {Array} Flat list
+ */
+function flatten(values) {
+  return values.reduce((all, value) => all.concat(Array.isArray(value) ? flatten(value) : [value]), []);
+}
+
+module.exports = MockApiExpression;
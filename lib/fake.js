@@ -0,0 +1,287 @@
+// File: lib/fake.js
+const FIRST_NAMES = [
+  'James', 'Mary', 'John', 'Patricia', 'Robert', 'Jennifer', 'Michael', 'Linda',
+  'William', 'Elizabeth', 'David', 'Barbara', 'Richard', 'Susan', 'Joseph', 'Jessica',
+  'Thomas', 'Sarah', 'Charles', 'Karen', 'Daniel', 'Nancy', 'Matthew', 'Lisa',
+  'Anthony', 'Betty', 'Mark', 'Margaret', 'Steven', 'Sandra', 'Paul', 'Ashley'
+];
+
+const LAST_NAMES = [
+  'Smith', 'Johnson', 'Williams', 'Brown', 'Jones', 'Garcia', 'Miller', 'Davis',
+  'Rodriguez', 'Martinez', 'Hernandez', 'Lopez', 'Gonzalez', 'Wilson', 'Anderson', 'Thomas',
+  'Taylor', 'Moore', 'Jackson', 'Martin', 'Lee', 'Perez', 'Thompson', 'White',
+  'Harris', 'Sanchez', 'Clark', 'Ramirez', 'Lewis', 'Robinson', 'Walker', 'Young'
+];
+
+const EMAIL_DOMAINS = ['example.com', 'example.org', 'example.net', 'mail.example.com'];
+
+const STREET_NAMES = [
+  'Main', 'Oak', 'Pine', 'Maple', 'Cedar', 'Elm', 'Washington', 'Lake',
+  'Hill', 'Park', 'Sunset', 'River', 'Church', 'Highland', 'Mill', 'Spring'
+];
+
+const STREET_SUFFIXES = ['St', 'Ave', 'Rd', 'Blvd', 'Ln', 'Dr', 'Ct', 'Way'];
+
+const CITIES = [
+  ['Springfield', 'IL'], ['Portland', 'OR'], ['Austin', 'TX'], ['Denver', 'CO'],
+  ['Madison', 'WI'], ['Richmond', 'VA'], ['Columbus', 'OH'], ['Raleigh', 'NC'],
+  ['Boise', 'ID'], ['Albany', 'NY'], ['Phoenix', 'AZ'], ['Nashville', 'TN']
+];
+
+const COUNTRIES = [
+  'United States', 'Canada', 'United Kingdom', 'Germany', 'France', 'Spain',
+  'Italy', 'Netherlands', 'Sweden', 'Australia', 'Japan', 'Brazil'
+];
+
+const LOREM_WORDS = [
+  'lorem', 'ipsum', 'dolor', 'sit', 'amet', 'consectetur', 'adipiscing', 'elit',
+  'sed', 'do', 'eiusmod', 'tempor', 'incididunt', 'ut', 'labore', 'et', 'dolore',
+  'magna', 'aliqua', 'enim', 'ad', 'minim', 'veniam', 'quis', 'nostrud',
+  'exercitation', 'ullamco', 'laboris', 'nisi', 'aliquip', 'ex', 'ea', 'commodo',
+  'consequat', 'duis', 'aute', 'irure', 'in', 'reprehenderit', 'voluptate', 'velit',
+  'esse', 'cillum', 'fugiat', 'nulla', 'pariatur', 'excepteur', 'sint', 'occaecat'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class MockDataFaker {
+  /**
+   * @param {Function} [random] Function returning a number in [0, 1), defaults to Math.random
+   * @param {Object} [options] Generator options
+   * @param {number} [options.now] Reference time in epoch milliseconds for
+   *   date ranges without an end, defaults to the current time
+   */
+  constructor(random = Math.random, options = {}) {
+    this.random = random;
+    this.now = options.now;
+  }
+
+  /**
+   * Generate a fake value from an expression such as `email`, `number:1-10`
+   * or `pick:red,green,blue`
+   * @param {string} expression Generator name followed by optional `:` separated arguments
+   * @returns {*} Generated value, or null for unknown generators or invalid arguments
+   */
+  generate(expression) {
+    const [name, ...args] = expression.trim().split(':');
+
+    switch (name) {
+      case 'uuid': return this.uuid();
+      case 'firstName': return this.pick(FIRST_NAMES);
+      case 'lastName': return this.pick(LAST_NAMES);
+      case 'name':
+      case 'fullName': return `${this.pick(FIRST_NAMES)} ${this.pick(LAST_NAMES)}`;
+      case 'username': return this.username();
+      case 'email': return `${this.username()}@${this.pick(EMAIL_DOMAINS)}`;
+      case 'phone': return this.phone();
+      case 'street': return this.street();
+      case 'city': return this.pick(CITIES)[0];
+      case 'state': return this.pick(CITIES)[1];
+      case 'zipCode': return this.digits(5);
+      case 'country': return this.pick(COUNTRIES);
+      case 'address': return this.address();
+      case 'word': return this.pick(LOREM_WORDS);
+      case 'words': return this.withCount(args[0], 3, count => this.words(count));
+      case 'sentence': return this.withCount(args[0], 8, count => this.sentence(count));
+      case 'paragraph':
+      case 'lorem': return this.withCount(args[0], 3, count => this.paragraph(count));
+      case 'number':
+      case 'int': return this.integer(args[0]);
+      case 'float': return this.float(args[0], args[1]);
+      case 'boolean': return this.random() < 0.5;
+      case 'date': return this.date(args[0], args[1]);
+      case 'pick': return args.length ? this.pick(args.join(':').split(',')) : null;
+      default: return null;
+    }
+  }
+
+  /**
+   * Pick a random element of a list
+   * @param {Array} items Items to pick from
+   * @returns {*} Picked item
+   */
+  pick(items) {
+    return items[Math.floor(this.random() * items.length)];
+  }
+
+  /**
+   * Random integer between two bounds, both inclusive
+   * @param {number} min Lower bound
+   * @param {number} max Upper bound
+   * @returns {number} Random integer
+   */
+  between(min, max) {
+    return min + Math.floor(this.random() * (max - min + 1));
+  }
+
+  /**
+   * Parse a `min-max` range argument; negative bounds are allowed (`-10-10`)
+   * @param {string} range Range argument
+   * @returns {Array|null} [min, max] or null if the argument is not a range
+   */
+  parseRange(range) {
+    const match = String(range).match(/^\s*(-?\d+(?:\.\d+)?)\s*-\s*(-?\d+(?:\.\d+)?)\s*$/);
+    if (!match) {
+      return null;
+    }
+    const min = parseFloat(match[1]);
+    const max = parseFloat(match[2]);
+    return min <= max ? [min, max] : [max, min];
+  }
+
+  /**
+   * Run a generator with a count argument, falling back to a default count
+   * @param {string} [arg] Count argument
+   * @param {number} fallback Count used when the argument is missing
+   * @param {Function} generator Generator receiving the count
+   * @returns {*} Generated value, or null if the count is invalid
+   */
+  withCount(arg, fallback, generator) {
+    if (arg === undefined) {
+      return generator(fallback);
+    }
+    const count = parseInt(arg, 10);
+    return count > 0 ? generator(count) : null;
+  }
+
+  /**
+   * Random RFC 4122 version 4 UUID
+   * @returns {string} UUID
+   */
+  uuid() {
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+      const r = Math.floor(this.random() * 16);
+      return (c === 'x' ? r : (r & 0x3) | 0x8).toString(16);
+    });
+  }
+
+  /**
+   * Random string of digits
+   * @param {number} length Number of digits
+   * @returns {string} Digits
+   */
+  digits(length) {
+    let result = '';
+    for (let i = 0; i < length; i++) {
+      result += Math.floor(this.random() * 10);
+    }
+    return result;
+  }
+
+  /**
+   * Random lower-case username such as `mary.jones42`
+   * @returns {string} Username
+   */
+  username() {
+    return `${this.pick(FIRST_NAMES)}.${this.pick(LAST_NAMES)}${this.between(1, 99)}`.toLowerCase();
+  }
+
+  /**
+   * Random phone number in the fictional 555 exchange
+   * @returns {string} Phone number such as `+1-312-555-0147`
+   */
+  phone() {
+    return `+1-${this.between(201, 989)}-555-01${this.digits(2)}`;
+  }
+
+  /**
+   * Random street address line
+   * @returns {string} Street such as `742 Maple Ave`
+   */
+  street() {
+    return `${this.between(1, 9999)} ${this.pick(STREET_NAMES)} ${this.pick(STREET_SUFFIXES)}`;
+  }
+
+  /**
+   * Random single-line postal address
+   * @returns {string} Address such as `742 Maple Ave, Springfield, IL 62704`
+   */
+  address() {
+    const [city, state] = this.pick(CITIES);
+    return `${this.street()}, ${city}, ${state} ${this.digits(5)}`;
+  }
+
+  /**
+   * Random lorem ipsum words
+   * @param {number} count Number of words
+   * @returns {string} Space separated words
+   */
+  words(count) {
+    const words = [];
+    for (let i = 0; i < count; i++) {
+      words.push(this.pick(LOREM_WORDS));
+    }
+    return words.join(' ');
+  }
+
+  /**
+   * Random lorem ipsum sentence
+   * @param {number} count Number of words
+   * @returns {string} Capitalised sentence ending with a full stop
+   */
+  sentence(count) {
+    const words = this.words(count);
+    return `${words.charAt(0).toUpperCase()}${words.slice(1)}.`;
+  }
+
+  /**
+   * Random lorem ipsum paragraph
+   * @param {number} count Number of sentences
+   * @returns {string} Sentences of 6 to 12 words
+   */
+  paragraph(count) {
+    const sentences = [];
+    for (let i = 0; i < count; i++) {
+      sentences.push(this.sentence(this.between(6, 12)));
+    }
+    return sentences.join(' ');
+  }
+
+  /**
+   * Random integer in a range
+   * @param {string} [range] `min-max` range, defaults to 1-1000
+   * @returns {number|null} Random integer, or null for an invalid range
+   */
+  integer(range) {
+    const bounds = range === undefined ? [1, 1000] : this.parseRange(range);
+    if (!bounds) {
+      return null;
+    }
+    return this.between(Math.ceil(bounds[0]), Math.floor(bounds[1]));
+  }
+
+  /**
+   * Random decimal number in a range
+   * @param {string} [range] `min-max` range, defaults to 0-1
+   * @param {string} [decimals] Number of decimal places, defaults to 2
+   * @returns {number|null} Random number, or null for invalid arguments
+   */
+  float(range, decimals) {
+    const bounds = range === undefined ? [0, 1] : this.parseRange(range);
+    const places = decimals === undefined ? 2 : parseInt(decimals, 10);
+    if (!bounds || !(places >= 0)) {
+      return null;
+    }
+    const value = bounds[0] + this.random() * (bounds[1] - bounds[0]);
+    return Number(value.toFixed(places));
+  }
+
+  /**
+   * Random date as an ISO-8601 string
+   * @param {string} [from] Earliest date (anything Date.parse accepts, e.g. `2024-01-01`),
+   *   defaults to one year before the latest date
+   * @param {string} [to] Latest date, defaults to the reference time
+   * @returns {string|null} ISO-8601 date, or null for unparseable bounds
+   */
+  date(from, to) {
+    const end = to === undefined ? (this.now === undefined ? Date.now() : this.now) : Date.parse(to);
+    const start = from === undefined ? end - 365 * DAY_MS : Date.parse(from);
+    if (isNaN(start) || isNaN(end)) {
+      return null;
+    }
+    const time = Math.min(start, end) + Math.floor(this.random() * (Math.abs(end - start) + 1));
+    return new Date(time).toISOString();
+  }
+}
+
+module.exports = MockDataFaker;
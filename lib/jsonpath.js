@@ -0,0 +1,570 @@
+// File: lib/jsonpath.js
+
+// Tokens of filter expressions such as ?(@.price < 10 && @.tags)
+const FILTER_TOKEN = /\s*(?:(-?\d+(?:\.\d+)?(?:e[+-]?\d+)?)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|(===|!==|==|!=|<=|>=|=~|&&|\|\||[<>!()])|(true|false|null)\b|([@$]))/iy;
+
+class MockApiJsonPath {
+  constructor() {
+    // Parsed paths, keyed by their source text
+    this.cache = new Map();
+  }
+
+  /**
+   * Evaluate a JSONPath expression such as `$.items[0].sku` or
+   * `$.items[?(@.qty > 1)].sku`
+   * @param {*} data Value to query
+   * @param {string} path JSONPath expression, starting with `$`
+   * @returns {*} The single value for definite paths (only names and
+   *   indexes), otherwise an array of all matches
+   * @throws {Error} If the path is invalid
+   */
+  evaluate(data, path) {
+    const segments = this.parse(path);
+    const matches = this.select(data, segments, data);
+    return this.isDefinite(segments) ? matches[0] : matches;
+  }
+
+  /**
+   * Find all values matching a JSONPath expression
+   * @param {*} data Value to query
+   * @param {string} path JSONPath expression
+   * @returns {Array} Matching values
+   * @throws {Error} If the path is invalid
+   */
+  query(data, path) {
+    return this.select(data, this.parse(path), data);
+  }
+
+  /**
+   * Whether parsed segments select at most one value
+   * @param {Array} segments Parsed path
+   * @returns {boolean} True if the path only uses names and single indexes
+   */
+  isDefinite(segments) {
+    return segments.every(segment => (
+      !segment.descendant
+      && segment.selectors.length === 1
+      && (segment.selectors[0].type === 'name' || segment.selectors[0].type === 'index')
+    ));
+  }
+
+  /**
+   * Parse a JSONPath expression into segments
+   * @param {string} path JSONPath expression
+   * @returns {Array} Segments, each with a `descendant` flag and a list of selectors
+   * @throws {Error} If the path is invalid
+   */
+  parse(path) {
+    if (this.cache.has(path)) {
+      return this.cache.get(path);
+    }
+
+    const text = String(path).trim();
+    if (text[0] !== '$') {
+      throw new Error(`JSONPath must start with $: ${path}`);
+    }
+
+    const segments = [];
+    let i = 1;
+    while (i < text.length) {
+      let descendant = false;
+
+      if (text.startsWith('..', i)) {
+        descendant = true;
+        i += 2;
+      } else if (text[i] === '.') {
+        i++;
+      } else if (text[i] !== '[') {
+        throw new Error(`Unexpected "${text[i]}" at position ${i} in JSONPath: ${path}`);
+      }
+
+      if (text[i] === '[') {
+        const end = this.findClosing(text, i, '[', ']');
+        if (end === -1) {
+          throw new Error(`Unclosed [ in JSONPath: ${path}`);
+        }
+        segments.push({ descendant, selectors: this.parseBracket(text.slice(i + 1, end).trim()) });
+        i = end + 1;
+      } else {
+        const name = text.slice(i).match(/^(\*|[^.[\]\s]+)/);
+        if (!name) {
+          throw new Error(`Expected a name at position ${i} in JSONPath: ${path}`);
+        }
+        segments.push({
+          descendant,
+          selectors: [name[1] === '*' ? { type: 'wildcard' } : { type: 'name', name: name[1] }]
+        });
+        i += name[1].length;
+      }
+    }
+
+    this.cache.set(path, segments);
+    return segments;
+  }
+
+  /**
+   * Parse the selectors between square brackets: names, indexes, slices,
+   * a wildcard, unions of those, or a filter
+   * @param {string} content Bracket content
+   * @returns {Array} Selectors
+   */
+  parseBracket(content) {
+    if (content[0] === '?') {
+      const expression = content.slice(1).trim();
+      const inner = expression[0] === '(' && this.findClosing(expression, 0, '(', ')') === expression.length - 1
+        ? expression.slice(1, -1)
+        : expression;
+      return [{ type: 'filter', expression: this.parseFilter(inner) }];
+    }
+
+    return this.splitUnion(content).map(part => {
+      const quoted = part.match(/^(["'])([\s\S]*)\1$/);
+      if (quoted) {
+        return { type: 'name', name: quoted[2].replace(/\\(.)/g, '$1') };
+      }
+      if (part === '*') {
+        return { type: 'wildcard' };
+      }
+      if (/^-?\d+$/.test(part)) {
+        return { type: 'index', index: parseInt(part, 10) };
+      }
+      const slice = part.match(/^(-?\d*)\s*:\s*(-?\d*)(?:\s*:\s*(-?\d*))?$/);
+      if (slice) {
+        return {
+          type: 'slice',
+          start: slice[1] === '' ? undefined : parseInt(slice[1], 10),
+          end: slice[2] === '' ? undefined : parseInt(slice[2], 10),
+          step: slice[3] ? parseInt(slice[3], 10) : 1
+        };
+      }
+      return { type: 'name', name: part };
+    });
+  }
+
+  /**
+   * Split a bracket's content on commas outside quotes
+   * @param {string} content Bracket content
+   * @returns {Array} Trimmed parts
+   */
+  splitUnion(content) {
+    const parts = [];
+    let quote = null;
+    let start = 0;
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+      if (quote) {
+        if (char === '\\') {
+          i++;
+        } else if (char === quote) {
+          quote = null;
+        }
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === ',') {
+        parts.push(content.slice(start, i).trim());
+        start = i + 1;
+      }
+    }
+
+    parts.push(content.slice(start).trim());
+    return parts;
+  }
+
+  /**
+   * Find the bracket closing the one at a position, skipping quoted text
+   * and nested brackets of the same kind
+   * @param {string} text Text to search
+   * @param {number} start Index of the opening bracket
+   * @param {string} open Opening bracket character
+   * @param {string} close Closing bracket character
+   * @returns {number} Index of the closing bracket, or -1
+   */
+  findClosing(text, start, open, close) {
+    let depth = 0;
+    let quote = null;
+
+    for (let i = start; i < text.length; i++) {
+      const char = text[i];
+      if (quote) {
+        if (char === '\\') {
+          i++;
+        } else if (char === quote) {
+          quote = null;
+        }
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === open) {
+        depth++;
+      } else if (char === close) {
+        depth--;
+        if (depth === 0) {
+          return i;
+        }
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Apply parsed segments to a value
+   * @param {*} data Value to query
+   * @param {Array} segments Parsed path
+   * @param {*} root Root value, for $ inside filters
+   * @returns {Array} Matching values
+   */
+  select(data, segments, root) {
+    let nodes = data === undefined ? [] : [data];
+
+    for (const segment of segments) {
+      const targets = segment.descendant
+        ? nodes.reduce((all, node) => all.concat(this.descendants(node)), [])
+        : nodes;
+      const next = [];
+      for (const node of targets) {
+        for (const selector of segment.selectors) {
+          next.push(...this.applySelector(node, selector, root));
+        }
+      }
+      nodes = next;
+    }
+
+    return nodes;
+  }
+
+  /**
+   * A value followed by all values nested in it, depth first
+   * @param {*} value Value to walk
+   * @returns {Array} The value and its descendants
+   */
+  descendants(value) {
+    const result = [value];
+    if (value !== null && typeof value === 'object') {
+      for (const child of Object.values(value)) {
+        result.push(...this.descendants(child));
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Apply one selector to a value
+   * @param {*} value Value to select from
+   * @param {Object} selector Parsed selector
+   * @param {*} root Root value, for $ inside filters
+   * @returns {Array} Selected values
+   */
+  applySelector(value, selector, root) {
+    if (value === null || typeof value !== 'object') {
+      return [];
+    }
+
+    switch (selector.type) {
+      case 'name':
+        return !Array.isArray(value) && Object.prototype.hasOwnProperty.call(value, selector.name)
+          ? [value[selector.name]]
+          : [];
+      case 'wildcard':
+        return Object.values(value);
+      case 'index': {
+        if (!Array.isArray(value)) {
+          return [];
+        }
+        const index = selector.index < 0 ? value.length + selector.index : selector.index;
+        return index >= 0 && index < value.length ? [value[index]] : [];
+      }
+      case 'slice':
+        return Array.isArray(value) ? this.slice(value, selector) : [];
+      default:
+        return Object.values(value).filter(item => this.isTruthy(this.evaluateFilter(selector.expression, item, root)));
+    }
+  }
+
+  /**
+   * Apply a [start:end:step] slice to an array
+   * @param {Array} array Array to slice
+   * @param {Object} selector Slice selector
+   * @returns {Array} Selected elements
+   */
+  slice(array, { start, end, step }) {
+    const length = array.length;
+    const normalize = (index, fallback) => {
+      if (index === undefined) {
+        return fallback;
+      }
+      return index < 0 ? Math.max(length + index, 0) : Math.min(index, length);
+    };
+
+    const result = [];
+    if (step > 0) {
+      for (let i = normalize(start, 0); i < normalize(end, length); i += step) {
+        result.push(array[i]);
+      }
+    } else if (step < 0) {
+      const from = start === undefined ? length - 1 : Math.min(normalize(start, 0), length - 1);
+      const to = end === undefined ? -1 : normalize(end, 0);
+      for (let i = from; i > to; i += step) {
+        result.push(array[i]);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Parse a filter expression into a syntax tree
+   * @param {string} source Filter expression without ?( and )
+   * @returns {Object} Expression tree
+   * @throws {Error} If the expression is invalid
+   */
+  parseFilter(source) {
+    const state = { source, position: 0 };
+    const expression = this.parseOr(state);
+    if (source.slice(state.position).trim()) {
+      throw new Error(`Unexpected "${source.slice(state.position).trim()}" in JSONPath filter: ${source}`);
+    }
+    return expression;
+  }
+
+  /**
+   * Parse `a || b`
+   * @param {Object} state Parser state
+   * @returns {Object} Expression tree
+   */
+  parseOr(state) {
+    let left = this.parseAnd(state);
+    while (this.accept(state, '||')) {
+      left = { type: 'or', left, right: this.parseAnd(state) };
+    }
+    return left;
+  }
+
+  /**
+   * Parse `a && b`
+   * @param {Object} state Parser state
+   * @returns {Object} Expression tree
+   */
+  parseAnd(state) {
+    let left = this.parseComparison(state);
+    while (this.accept(state, '&&')) {
+      left = { type: 'and', left, right: this.parseComparison(state) };
+    }
+    return left;
+  }
+
+  /**
+   * Parse a comparison such as `@.qty >= 2` or `@.name =~ /^a/i`
+   * @param {Object} state Parser state
+   * @returns {Object} Expression tree
+   */
+  parseComparison(state) {
+    const left = this.parseUnary(state);
+
+    if (this.accept(state, '=~')) {
+      const regex = state.source.slice(state.position).match(/^\s*\/((?:[^/\\]|\\.)*)\/([a-z]*)/);
+      if (!regex) {
+        throw new Error(`Expected a regular expression after =~ in JSONPath filter: ${state.source}`);
+      }
+      state.position += regex[0].length;
+      return { type: 'match', left, regex: new RegExp(regex[1], regex[2]) };
+    }
+
+    for (const operator of ['===', '!==', '==', '!=', '<=', '>=', '<', '>']) {
+      if (this.accept(state, operator)) {
+        return { type: 'compare', operator, left, right: this.parseUnary(state) };
+      }
+    }
+    return left;
+  }
+
+  /**
+   * Parse `!a`, `(a)`, literals and `@` / `$` paths
+   * @param {Object} state Parser state
+   * @returns {Object} Expression tree
+   */
+  parseUnary(state) {
+    if (this.accept(state, '!')) {
+      return { type: 'not', operand: this.parseUnary(state) };
+    }
+    if (this.accept(state, '(')) {
+      const expression = this.parseOr(state);
+      if (!this.accept(state, ')')) {
+        throw new Error(`Expected ) in JSONPath filter: ${state.source}`);
+      }
+      return expression;
+    }
+
+    const token = this.peek(state);
+    if (!token) {
+      throw new Error(`Unexpected end of JSONPath filter: ${state.source}`);
+    }
+    state.position = token.end;
+
+    if (token.number !== undefined) {
+      return { type: 'literal', value: Number(token.number) };
+    }
+    if (token.string !== undefined) {
+      return { type: 'literal', value: token.string.slice(1, -1).replace(/\\(.)/g, '$1') };
+    }
+    if (token.keyword !== undefined) {
+      return { type: 'literal', value: JSON.parse(token.keyword.toLowerCase()) };
+    }
+    if (token.path !== undefined) {
+      // The path continues with .name, ..name or [...] parts
+      let end = state.position;
+      const rest = state.source;
+      while (end < rest.length) {
+        if (rest[end] === '[') {
+          const close = this.findClosing(rest, end, '[', ']');
+          if (close === -1) {
+            throw new Error(`Unclosed [ in JSONPath filter: ${rest}`);
+          }
+          end = close + 1;
+        } else if (rest[end] === '.') {
+          const name = rest.slice(end).match(/^\.{1,2}(\*|[\w$-]+)/);
+          if (!name) {
+            break;
+          }
+          end += name[0].length;
+        } else {
+          break;
+        }
+      }
+      const path = `$${rest.slice(state.position, end)}`;
+      state.position = end;
+      return { type: 'path', relative: token.path === '@', segments: this.parse(path) };
+    }
+
+    throw new Error(`Unexpected "${token.operator}" in JSONPath filter: ${state.source}`);
+  }
+
+  /**
+   * Read the next token without consuming it
+   * @param {Object} state Parser state
+   * @returns {Object|null} Token with its kind and end position
+   */
+  peek(state) {
+    FILTER_TOKEN.lastIndex = state.position;
+    const match = FILTER_TOKEN.exec(state.source);
+    if (!match) {
+      return null;
+    }
+    return {
+      number: match[1],
+      string: match[2],
+      operator: match[3],
+      keyword: match[4],
+      path: match[5],
+      end: FILTER_TOKEN.lastIndex
+    };
+  }
+
+  /**
+   * Consume an operator if it is next
+   * @param {Object} state Parser state
+   * @param {string} operator Operator to accept
+   * @returns {boolean} True if the operator was consumed
+   */
+  accept(state, operator) {
+    const token = this.peek(state);
+    if (token && token.operator === operator) {
+      state.position = token.end;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Evaluate a filter expression tree for one candidate
+   * @param {Object} node Expression tree
+   * @param {*} current Candidate value (@)
+   * @param {*} root Root value ($)
+   * @returns {*} Result
+   */
+  evaluateFilter(node, current, root) {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+      case 'path': {
+        const matches = this.select(node.relative ? current : root, node.segments, root);
+        return this.isDefinite(node.segments) ? matches[0] : matches;
+      }
+      case 'not':
+        return !this.isTruthy(this.evaluateFilter(node.operand, current, root));
+      case 'and':
+        return this.isTruthy(this.evaluateFilter(node.left, current, root))
+          && this.isTruthy(this.evaluateFilter(node.right, current, root));
+      case 'or':
+        return this.isTruthy(this.evaluateFilter(node.left, current, root))
+          || this.isTruthy(this.evaluateFilter(node.right, current, root));
+      case 'match': {
+        const value = this.evaluateFilter(node.left, current, root);
+        return typeof value === 'string' && node.regex.test(value);
+      }
+      default:
+        return this.compare(
+          node.operator,
+          this.evaluateFilter(node.left, current, root),
+          this.evaluateFilter(node.right, current, root)
+        );
+    }
+  }
+
+  /**
+   * Compare two values; ordering operators only apply to two numbers or two strings
+   * @param {string} operator Comparison operator
+   * @param {*} a Left value
+   * @param {*} b Right value
+   * @returns {boolean} Comparison result
+   */
+  compare(operator, a, b) {
+    if (operator === '==' || operator === '===') {
+      return this.equals(a, b);
+    }
+    if (operator === '!=' || operator === '!==') {
+      return !this.equals(a, b);
+    }
+
+    const comparable = (typeof a === 'number' && typeof b === 'number')
+      || (typeof a === 'string' && typeof b === 'string');
+    if (!comparable) {
+      return false;
+    }
+
+    switch (operator) {
+      case '<': return a < b;
+      case '<=': return a <= b;
+      case '>': return a > b;
+      default: return a >= b;
+    }
+  }
+
+  /**
+   * Deep equality of JSON values. Types must match, so unlike `==` in
+   * {expr:...} or `$lookup` matches, "2" does not equal 2.
+   * @param {*} a First value
+   * @param {*} b Second value
+   * @returns {boolean} True if equal
+   */
+  equals(a, b) {
+    if (a !== null && b !== null && typeof a === 'object' && typeof b === 'object') {
+      return JSON.stringify(a) === JSON.stringify(b);
+    }
+    return a === b;
+  }
+
+  /**
+   * Truthiness in filters: missing values, false, null and empty match lists
+   * are false. Unlike `$if`, strings such as "false" and the number 0 are
+   * true, as they are present JSON values.
+   * @param {*} value Value to check
+   * @returns {boolean} Truthiness
+   */
+  isTruthy(value) {
+    if (Array.isArray(value)) {
+      return value.length > 0;
+    }
+    return value !== undefined && value !== null && value !== false;
+  }
+}
+
+module.exports = MockApiJsonPath;
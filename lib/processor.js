@@ -1,17 +1,187 @@
 // File: lib/processor.js
+const MockDataFaker = require('./fake');
+const SeededRandom = require('./random');
+const DateValue = require('./date');
+const MockApiJsonPath = require('./jsonpath');
+const MockApiExpression = require('./expression');
+
+// Result of a directive that produces nothing, e.g. a false $if without else.
+// Object properties and array items with this value are left out.
+const OMIT = Symbol('omit');
+
+// Reference time of seeded fake data (2024-01-01T00:00:00Z), so that dates
+// without an explicit range do not change from one request to the next
+const SEEDED_NOW = Date.UTC(2024, 0, 1);
+
+// Upper limit for $repeat, so that e.g. ?limit=1000000 cannot exhaust memory
+const MAX_REPEAT = 1000;
+
+// Type names accepted after a reference, e.g. "{params.id:int}"
+const CASTS = ['int', 'integer', 'float', 'number', 'bool', 'boolean', 'string'];
+
+// Prefix of "$ref" pointers into the configuration's templates section
+const TEMPLATE_REF_PREFIX = '#/templates/';
+
+/**
+ * Error for "$ref" references that cannot be resolved: unknown templates,
+ * unsupported pointers and cycles
+ */
+class TemplateReferenceError extends Error {
+  /**
+   * @param {string} message Error message
+   * @param {string} ref The "$ref" pointer that failed
+   */
+  constructor(message, ref) {
+    super(message);
+    this.name = 'TemplateReferenceError';
+    this.ref = ref;
+  }
+}
+
 class MockApiResponseProcessor {
+  /**
+   * @param {Object} [options] Processor options
+   * @param {number|string} [options.seed] Global seed making generated values
+   *   repeatable across requests
+   */
+  constructor(options = {}) {
+    this.seed = options.seed;
+    this.faker = new MockDataFaker();
+    this.jsonPath = new MockApiJsonPath();
+    this.expressions = new MockApiExpression({ isTruthy: value => this.isTruthy(value) });
+    this.placeholderHandlers = {
+      date: (expression, params) => this.parseDateExpression(expression, params),
+      fake: (expression, params) => this.processFakeExpression(expression, params.faker),
+      expr: (expression, params) => this.evaluateExpression(expression, params),
+      seq: (expression, params) => this.resolveSequence(expression, params),
+      body: (expression, params) => this.queryJsonPath(params.body, expression),
+      data: (expression, params) => this.queryJsonPath(params.mockData, expression),
+      mockData: (expression, params) => this.queryJsonPath(params.mockData, expression)
+    };
+    this.filters = this.createDefaultFilters();
+  }
+
+  /**
+   * Built-in placeholder filters, applied with "|" as in "{query.name|trim|upper}"
+   * @returns {Object} Filter functions keyed by name; each receives the value
+   *   followed by the filter arguments
+   */
+  createDefaultFilters() {
+    const text = value => this.stringifyValue(value);
+    
+    return {
+      default: (value, fallback) => (
+        value === undefined || value === null || value === '' ? fallback : value
+      ),
+      upper: value => text(value).toUpperCase(),
+      lower: value => text(value).toLowerCase(),
+      trim: value => text(value).trim(),
+      number: value => this.castValue(value, 'number'),
+      json: value => JSON.stringify(value),
+      base64: value => Buffer.from(text(value)).toString('base64'),
+      urlencode: value => encodeURIComponent(text(value)),
+      slice: (value, start, end) => (Array.isArray(value) ? value : text(value)).slice(start, end),
+      replace: (value, search, replacement = '') => text(value).split(String(search)).join(String(replacement)),
+      // Date filters accept date expressions, date strings and epoch timestamps
+      iso: value => this.mapDate(value, date => date.toISOString()),
+      rfc2822: value => this.mapDate(value, date => date.toRFC2822()),
+      format: (value, pattern) => this.mapDate(value, date => date.format(pattern)),
+      epoch: value => this.mapDate(value, date => Math.floor(date.time / 1000)),
+      unix: value => this.mapDate(value, date => Math.floor(date.time / 1000)),
+      ms: value => this.mapDate(value, date => date.time),
+      tz: (value, offset) => this.mapDate(value, date => {
+        const minutes = DateValue.parseOffset(offset);
+        return minutes === null ? undefined : date.with(date.time, { offset: minutes });
+      }),
+      startOf: (value, unit) => this.mapDate(value, date => date.startOf(unit) || undefined),
+      endOf: (value, unit) => this.mapDate(value, date => date.endOf(unit) || undefined)
+    };
+  }
+
+  /**
+   * Apply a function to a value converted to a date
+   * @param {*} value Date expression result, date string or epoch timestamp
+   * @param {Function} fn Function receiving the DateValue
+   * @returns {*} Function result, or undefined if the value is not a date
+   */
+  mapDate(value, fn) {
+    const date = DateValue.from(value);
+    return date ? fn(date) : undefined;
+  }
+
+  /**
+   * Register a placeholder filter, e.g. "mask" for "{body.card|mask}"
+   * @param {string} name Filter name
+   * @param {Function} filter Function receiving the value followed by the
+   *   filter arguments and returning the new value
+   */
+  registerFilter(name, filter) {
+    this.filters[name] = filter;
+  }
+
   /**
    * Process the response template with parameters
    * @param {Object} responseTemplate Response template from route config
-   * @param {Object} params Parameters object with pathParams, queryParams, and body
+   * @param {Object} params Parameters object with pathParams, queryParams, body,
+   *   and optionally headers, cookies, request metadata (method, path, ip, id),
+   *   the configuration's mockData, a route `seed` that may contain
+   *   placeholders such as "{params.id}", a `scope` of extra variables,
+   *   `sequences` with `next(name)` and `current(name)` functions for
+   *   {seq:name} and the configuration's `templates` for "$ref" references
    * @returns {Object} Processed response with interpolated values
+   * @throws {TemplateReferenceError} If a "$ref" cannot be resolved
    */
-  processResponse(responseTemplate, { pathParams, queryParams, body }) {
+  processResponse(responseTemplate, { pathParams, queryParams, body, headers, cookies, request, mockData, seed, scope, sequences, templates }) {
     // Create deep copy of the response template
     const response = JSON.parse(JSON.stringify(responseTemplate));
     
+    const values = {
+      pathParams,
+      queryParams,
+      body,
+      headers,
+      cookies,
+      request,
+      mockData: mockData || {},
+      sequences,
+      templates: templates || {}
+    };
+    const faker = this.createFaker(this.resolveSeed(seed, values));
+    
     // Process the response recursively
-    return this.processObject(response, { pathParams, queryParams, body });
+    const result = this.processObject(response, { ...values, faker, scope: { ...scope } });
+    return result === OMIT ? undefined : result;
+  }
+
+  /**
+   * Combine the global seed with a route seed, interpolating request values
+   * into the route seed
+   * @param {number|string} [seed] Route seed
+   * @param {Object} params Parameters object
+   * @returns {string|undefined} Combined seed, or undefined if neither is set
+   */
+  resolveSeed(seed, params) {
+    const seeds = [];
+    if (this.seed !== undefined && this.seed !== null) {
+      seeds.push(String(this.seed));
+    }
+    if (seed !== undefined && seed !== null) {
+      seeds.push(typeof seed === 'string' ? String(this.interpolateString(seed, params)) : String(seed));
+    }
+    return seeds.length > 0 ? seeds.join(':') : undefined;
+  }
+
+  /**
+   * Create the fake data generator for one response
+   * @param {string} [seed] Seed for repeatable values
+   * @returns {MockDataFaker} Seeded generator, or the shared unseeded one
+   */
+  createFaker(seed) {
+    if (seed === undefined) {
+      return this.faker;
+    }
+    const random = new SeededRandom(seed);
+    return new MockDataFaker(() => random.next(), { now: SEEDED_NOW });
   }
 
   /**
@@ -32,18 +202,33 @@ class MockApiResponseProcessor {
     
     // Handle arrays
     if (Array.isArray(obj)) {
-      return obj.map(item => this.processObject(item, params));
+      return obj
+        .map(item => this.processObject(item, params))
+        .filter(item => item !== OMIT);
     }
     
     // Handle objects
     if (typeof obj === 'object') {
+      // Template references are expanded, then processed like inline
+      // templates. Other $ref objects, such as JSON Schema references in a
+      // mocked OpenAPI document, are plain data.
+      if (this.isTemplateRef(obj)) {
+        return this.processRef(obj, params);
+      }
+      
+      // Directives such as $if and $each are evaluated before interpolation
+      if (this.isDirective(obj)) {
+        return this.processDirective(obj, params);
+      }
+      
       const result = {};
       for (const [key, value] of Object.entries(obj)) {
         // Process both key and value
-        const processedKey = typeof key === 'string' 
-          ? this.interpolateString(key, params) 
-          : key;
-        result[processedKey] = this.processObject(value, params);
+        const processedKey = this.stringifyValue(this.interpolateString(key, params));
+        const processedValue = this.processObject(value, params);
+        if (processedValue !== OMIT) {
+          result[processedKey] = processedValue;
+        }
       }
       return result;
     }
@@ -53,104 +238,848 @@ class MockApiResponseProcessor {
   }
 
   /**
-   * Process date expressions like currentDate+10 or currentDate(ms)+10
-   * @param {string} expression Date expression to process
-   * @returns {number} Processed epoch timestamp (in seconds or milliseconds)
+   * Check whether a template object references one of the configuration's templates
+   * @param {Object} obj Template object
+   * @returns {boolean} True if "$ref" is a pointer starting with "#/templates/"
    */
-  processDateExpression(expression) {
-    // Check if the expression explicitly requests milliseconds
-    const hasMillisecondsFlag = expression.includes('(ms)');
+  isTemplateRef(obj) {
+    return typeof obj.$ref === 'string' && obj.$ref.startsWith(TEMPLATE_REF_PREFIX);
+  }
+
+  /**
+   * Expand a template reference:
+   * { "$ref": "#/templates/user", "$params": { "id": "{params.id}" }, "role": "admin" }
+   * The template is rendered with the "$params" values as scope variables
+   * ({id}); other properties next to "$ref" override properties of the result.
+   * @param {Object} reference Reference object
+   * @param {Object} params Parameters object
+   * @returns {*} Rendered template
+   * @throws {TemplateReferenceError} For missing templates, circular
+   *   references and overrides of non-object templates
+   */
+  processRef(reference, params) {
+    const { $ref: ref, $params: refParams, ...overrides } = reference;
+    const template = this.resolveTemplate(ref, params.templates);
+    const stack = params.refStack || [];
     
-    // Remove the milliseconds flag for further processing
-    const cleanExpression = expression.replace('(ms)', '');
+    if (stack.includes(ref)) {
+      throw new TemplateReferenceError(`Circular $ref: ${stack.concat(ref).join(' -> ')}`, ref);
+    }
     
-    // Parse the expression to extract operation and value
-    const match = cleanExpression.match(/^currentDate\s*([\+\-])\s*(\d+)$/);
+    // $params are evaluated where the reference is, the template in its own scope
+    const variables = refParams !== null && typeof refParams === 'object' && !Array.isArray(refParams)
+      ? this.processObject(refParams, params)
+      : {};
+    const result = this.processObject(template, {
+      ...params,
+      scope: { ...params.scope, ...variables },
+      refStack: stack.concat(ref)
+    });
     
-    // Get current timestamp in appropriate precision
-    const currentTimestamp = hasMillisecondsFlag 
-      ? Date.now() 
-      : Math.floor(Date.now() / 1000);
+    if (Object.keys(overrides).length === 0) {
+      return result;
+    }
+    if (result === null || typeof result !== 'object' || Array.isArray(result)) {
+      throw new TemplateReferenceError(`Cannot override properties of $ref "${ref}": the template is not an object`, ref);
+    }
+    return { ...result, ...this.processObject(overrides, params) };
+  }
+
+  /**
+   * Find the template a "$ref" pointer such as "#/templates/errors/notFound" points to
+   * @param {string} ref JSON pointer into the configuration's templates section
+   * @param {Object} templates The configuration's templates section
+   * @returns {*} Template
+   * @throws {TemplateReferenceError} If the pointer is unsupported or dangling
+   */
+  resolveTemplate(ref, templates) {
+    if (typeof ref !== 'string' || !ref.startsWith(TEMPLATE_REF_PREFIX)) {
+      throw new TemplateReferenceError(
+        `Unsupported $ref ${JSON.stringify(ref)}: expected a pointer such as "${TEMPLATE_REF_PREFIX}name"`,
+        ref
+      );
+    }
     
-    if (!match) {
-      // If it's just "currentDate", return current timestamp
-      if (cleanExpression.trim() === 'currentDate') {
-        return currentTimestamp;
+    let current = templates;
+    for (const segment of ref.slice(TEMPLATE_REF_PREFIX.length).split('/')) {
+      const key = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+      if (current === null || typeof current !== 'object' || !Object.prototype.hasOwnProperty.call(current, key)) {
+        throw new TemplateReferenceError(`Unresolved $ref "${ref}": no such template`, ref);
       }
-      return null;
+      current = current[key];
+    }
+    return current;
+  }
+
+  /**
+   * Check whether a template object is a directive
+   * @param {Object} obj Template object
+   * @returns {boolean} True if the object has a directive key such as $if
+   */
+  isDirective(obj) {
+    return '$if' in obj || '$each' in obj || '$lookup' in obj || '$repeat' in obj;
+  }
+
+  /**
+   * Evaluate a directive object
+   * @param {Object} directive Directive template
+   * @param {Object} params Parameters object
+   * @returns {*} Processed result, or OMIT if the directive produces nothing
+   */
+  processDirective(directive, params) {
+    if ('$if' in directive) {
+      return this.processIf(directive, params);
+    }
+    if ('$lookup' in directive) {
+      return this.processLookup(directive, params);
     }
+    if ('$repeat' in directive) {
+      return this.processRepeat(directive, params);
+    }
+    return this.processEach(directive, params);
+  }
+
+  /**
+   * Evaluate a $repeat directive:
+   * { "$repeat": "5-20", "template": {...} }
+   * The count is a number, a "min-max" range picked at random, or a string
+   * with placeholders such as "{query.limit|default:10}". The template is
+   * rendered that many times with {index} (from 0) and {position} (from 1).
+   * @param {Object} directive Directive template
+   * @param {Object} params Parameters object
+   * @returns {Array} Rendered items
+   */
+  processRepeat(directive, params) {
+    const count = this.resolveCount(directive.$repeat, params);
+    const template = 'template' in directive ? directive.template : '{index}';
+    
+    const results = [];
+    for (let index = 0; index < count; index++) {
+      const scope = { ...params.scope, index, position: index + 1 };
+      const item = this.processObject(template, { ...params, scope });
+      if (item !== OMIT) {
+        results.push(item);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Resolve the count of a $repeat directive
+   * @param {number|string} count Count, range or placeholder string
+   * @param {Object} params Parameters object
+   * @returns {number} Whole number between 0 and MAX_REPEAT
+   */
+  resolveCount(count, params) {
+    let value = typeof count === 'string' ? this.interpolateString(count, params) : count;
+    
+    // A "min-max" range gives a random count, using the seeded generator if any
+    if (typeof value === 'string') {
+      const random = (params.faker || this.faker).integer(value);
+      value = random !== null ? random : parseInt(value, 10);
+    }
+    
+    value = Math.floor(Number(value));
+    return isNaN(value) ? 0 : Math.min(Math.max(value, 0), MAX_REPEAT);
+  }
+
+  /**
+   * Evaluate a $lookup directive, finding items of a collection by field:
+   * { "$lookup": "data.users", "where": { "id": "{params.id}" }, "default": null }
+   * The "where" values may use placeholders and are compared loosely, so the
+   * path parameter "42" matches the number 42. With "all": true every match
+   * is returned as an array. An optional "template" renders the result, with
+   * the result available as {item} (or the "as" name).
+   * @param {Object} directive Directive template
+   * @param {Object} params Parameters object
+   * @returns {*} Matching item(s), the processed default, or null
+   */
+  processLookup(directive, params) {
+    const source = this.resolveReference(directive.$lookup, params);
+    const items = Array.isArray(source)
+      ? source
+      : (source !== null && typeof source === 'object' ? Object.values(source) : []);
+    const where = this.processObject(directive.where || {}, params);
+    const fields = Object.keys(where);
     
-    const [, operation, valueStr] = match;
-    const value = parseInt(valueStr, 10);
+    const matches = item => fields.every(field => (
+      this.valuesEqual(this.resolveReference(`$.${field}`, { scope: { $: item } }), where[field])
+    ));
     
-    // Apply the operation
-    if (operation === '+') {
-      return currentTimestamp + value;
-    } else if (operation === '-') {
-      return currentTimestamp - value;
+    const result = directive.all ? items.filter(matches) : items.find(matches);
+    if (result === undefined || (directive.all && result.length === 0 && 'default' in directive)) {
+      return 'default' in directive ? this.processObject(directive.default, params) : null;
     }
     
-    return null;
+    if (!('template' in directive)) {
+      return result;
+    }
+    const name = directive.as || 'item';
+    return this.processObject(directive.template, { ...params, scope: { ...params.scope, [name]: result } });
+  }
+
+  /**
+   * Evaluate an $if directive:
+   * { "$if": "query.verbose", "then": ..., "else": ... }
+   * The condition is a reference such as "query.verbose", optionally negated
+   * with "!", or a literal value. Without "else", a false condition leaves
+   * the field out.
+   * @param {Object} directive Directive template
+   * @param {Object} params Parameters object
+   * @returns {*} Processed branch, or OMIT
+   */
+  processIf(directive, params) {
+    const branch = this.evaluateCondition(directive.$if, params) ? 'then' : 'else';
+    if (!(branch in directive)) {
+      return OMIT;
+    }
+    return this.processObject(directive[branch], params);
+  }
+
+  /**
+   * Evaluate an $each directive:
+   * { "$each": "body.items", "as": "item", "template": {...} }
+   * The template is rendered once per array element (or object value) with
+   * the element available as {item} (or the "as" name) and its position as
+   * {index} (from 0) and {position} (from 1).
+   * @param {Object} directive Directive template
+   * @param {Object} params Parameters object
+   * @returns {Array} Rendered items
+   */
+  processEach(directive, params) {
+    const source = this.resolveReference(directive.$each, params);
+    const name = directive.as || 'item';
+    const template = 'template' in directive ? directive.template : `{${name}}`;
+    
+    let entries = [];
+    if (Array.isArray(source)) {
+      entries = source.map((value, index) => ({ value, index }));
+    } else if (source !== null && typeof source === 'object') {
+      entries = Object.keys(source).map((key, index) => ({ value: source[key], index, key }));
+    }
+    
+    const results = [];
+    for (const entry of entries) {
+      const scope = { ...params.scope, [name]: entry.value, index: entry.index, position: entry.index + 1 };
+      if (entry.key !== undefined) {
+        scope.key = entry.key;
+      }
+      const item = this.processObject(template, { ...params, scope });
+      if (item !== OMIT) {
+        results.push(item);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Evaluate an $if condition
+   * @param {*} condition Placeholder such as "{body.active}" or
+   *   "{expr:body.age >= 18}" (braces optional), optionally prefixed with "!",
+   *   or a literal
+   * @param {Object} params Parameters object
+   * @returns {boolean} Whether the condition holds
+   */
+  evaluateCondition(condition, params) {
+    if (typeof condition !== 'string') {
+      return this.isTruthy(condition);
+    }
+    
+    const negated = condition.trim().startsWith('!');
+    const reference = (negated ? condition.trim().slice(1) : condition).trim().replace(/^\{([\s\S]*)\}$/, '$1');
+    const value = this.isTruthy(this.resolvePlaceholder(reference, params));
+    return negated ? !value : value;
+  }
+
+  /**
+   * Truthiness of a request value; "false", "0" and empty strings from query
+   * strings count as false, as do empty arrays
+   * @param {*} value Value to check
+   * @returns {boolean} Truthiness
+   */
+  isTruthy(value) {
+    if (typeof value === 'string') {
+      return !['', 'false', '0', 'no', 'off'].includes(value.trim().toLowerCase());
+    }
+    if (Array.isArray(value)) {
+      return value.length > 0;
+    }
+    return Boolean(value);
+  }
+
+  /**
+   * Resolve a reference such as "body.user.name", "query.page", "params.id",
+   * "headers.x-tenant-id", "cookies.session", "request.method",
+   * "data.users[0]" or a scope variable such as "item.sku"; braces around the
+   * reference are optional. Square brackets select an index or key, which may
+   * itself be a reference ("data.users[params.id]"), or the first array item
+   * with a matching field ("data.users[id=params.id]").
+   * @param {string} reference Reference to resolve
+   * @param {Object} params Parameters object
+   * @returns {*} Referenced value, or undefined if missing
+   */
+  resolveReference(reference, params) {
+    if (typeof reference !== 'string') {
+      return reference;
+    }
+    
+    const { pathParams, queryParams, body, headers, cookies, request, mockData, scope } = params;
+    const segments = this.parseReference(reference.trim().replace(/^\{(.*)\}$/, '$1'));
+    const root = segments.length > 0 && segments[0].key;
+    const sources = {
+      params: pathParams,
+      query: queryParams,
+      body,
+      headers,
+      cookies,
+      request,
+      data: mockData,
+      mockData
+    };
+    
+    let current;
+    if (scope && Object.prototype.hasOwnProperty.call(scope, root)) {
+      current = scope[root];
+    } else if (root && Object.prototype.hasOwnProperty.call(sources, root)) {
+      current = sources[root];
+      // Header names are case-insensitive
+      if (root === 'headers' && segments.length > 1 && segments[1].key !== undefined) {
+        segments[1] = { key: this.findHeaderName(headers, segments[1].key) };
+      }
+    } else {
+      return undefined;
+    }
+    
+    for (const segment of segments.slice(1)) {
+      if (current === undefined || current === null) {
+        return undefined;
+      }
+      current = segment.key !== undefined
+        ? this.getProperty(current, segment.key)
+        : this.resolveBracket(current, segment.bracket, params);
+    }
+    return current;
+  }
+
+  /**
+   * Split a reference into property names and bracket expressions
+   * @param {string} reference Reference such as "data.users[id=params.id].name"
+   * @returns {Array} Segments: { key } or { bracket }
+   */
+  parseReference(reference) {
+    const segments = [];
+    let name = '';
+    let i = 0;
+    
+    const flush = () => {
+      if (name) {
+        segments.push({ key: name });
+        name = '';
+      }
+    };
+    
+    while (i < reference.length) {
+      const char = reference[i];
+      if (char === '.') {
+        flush();
+        i++;
+      } else if (char === '[') {
+        flush();
+        const close = this.jsonPath.findClosing(reference, i, '[', ']');
+        const end = close === -1 ? reference.length : close;
+        segments.push({ bracket: reference.slice(i + 1, end).trim() });
+        i = end + 1;
+      } else {
+        name += char;
+        i++;
+      }
+    }
+    
+    flush();
+    return segments;
+  }
+
+  /**
+   * Evaluate a bracket segment against a value
+   * @param {*} current Value the bracket applies to
+   * @param {string} bracket Text between the brackets: an index, a quoted key,
+   *   a reference, or a field=value match
+   * @param {Object} params Parameters object
+   * @returns {*} Selected value, or undefined
+   */
+  resolveBracket(current, bracket, params) {
+    const match = bracket.match(/^([\w$.-]+?)\s*==?\s*([\s\S]+)$/);
+    if (match) {
+      if (!Array.isArray(current)) {
+        return undefined;
+      }
+      const expected = this.resolveOperand(match[2], params, true);
+      return current.find(item => this.valuesEqual(this.resolveReference(`$.${match[1]}`, { scope: { $: item } }), expected));
+    }
+    
+    const key = this.resolveOperand(bracket, params, false);
+    if (key === undefined || key === null) {
+      return undefined;
+    }
+    // Negative indexes count from the end of an array
+    if (Array.isArray(current) && typeof key === 'number' && key < 0) {
+      return current[current.length + key];
+    }
+    return this.getProperty(current, String(key));
+  }
+
+  /**
+   * Evaluate an operand inside brackets: a quoted string, a number or a reference
+   * @param {string} operand Operand text
+   * @param {Object} params Parameters object
+   * @param {boolean} bareText Whether an unresolvable operand is literal text
+   *   (as in [role=admin]) rather than missing
+   * @returns {*} Operand value
+   */
+  resolveOperand(operand, params, bareText) {
+    const text = operand.trim();
+    const quoted = text.match(/^(["'])([\s\S]*)\1$/);
+    if (quoted) {
+      return quoted[2];
+    }
+    if (/^-?\d+$/.test(text)) {
+      return parseInt(text, 10);
+    }
+    const value = this.resolveReference(text, params);
+    return value === undefined && bareText ? text : value;
+  }
+
+  /**
+   * Read an own property of an object or array
+   * @param {*} value Object or array
+   * @param {string} key Property name
+   * @returns {*} Property value, or undefined
+   */
+  getProperty(value, key) {
+    if (value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, key)) {
+      return value[key];
+    }
+    return undefined;
+  }
+
+  /**
+   * Compare two values loosely: primitives by their text, so that "42"
+   * from a path parameter equals 42 in mock data, and objects by content
+   * @param {*} a First value
+   * @param {*} b Second value
+   * @returns {boolean} True if the values are equal
+   */
+  valuesEqual(a, b) {
+    if (a === undefined || b === undefined || a === null || b === null) {
+      return a === b;
+    }
+    if (typeof a === 'object' || typeof b === 'object') {
+      return JSON.stringify(a) === JSON.stringify(b);
+    }
+    return String(a) === String(b);
+  }
+
+  /**
+   * Find the actual name of a header, ignoring case
+   * @param {Object} headers Request headers
+   * @param {string} name Header name to look for
+   * @returns {string} Header name as present in the headers, or the given name
+   */
+  findHeaderName(headers, name) {
+    const lowerName = name.toLowerCase();
+    return Object.keys(headers || {}).find(key => key.toLowerCase() === lowerName) || name;
+  }
+
+  /**
+   * Process date expressions like currentDate+10 or currentDate(ms)+10
+   * @param {string} expression Date expression to process
+   * @param {Object} [params] Parameters object, for dates taken from the request
+   * @returns {number} Processed epoch timestamp (in seconds or milliseconds)
+   */
+  processDateExpression(expression, params = {}) {
+    const date = this.parseDateExpression(expression, params);
+    return date ? date.valueOf() : null;
+  }
+
+  /**
+   * Parse a date expression: a base date followed by any number of offsets.
+   * The base is currentDate, optionally with the (ms) flag, or a reference to
+   * a request value such as body.startDate. Offsets are amounts with an
+   * optional unit (ms, s, m, h, d, w, M, y); plain amounts are seconds, or
+   * milliseconds with the (ms) flag.
+   * Examples: "currentDate+3600", "currentDate+7d-2h", "body.startDate+30d"
+   * @param {string} expression Date expression to parse
+   * @param {Object} [params] Parameters object
+   * @returns {DateValue|null} Date, or null if the expression is invalid
+   */
+  parseDateExpression(expression, params = {}) {
+    // Check if the expression explicitly requests milliseconds
+    const milliseconds = expression.includes('(ms)');
+    const match = expression.replace('(ms)', '').trim()
+      .match(/^([A-Za-z_$][\w$]*(?:\.[\w$]+)*)\s*((?:[+-]\s*\d+\s*(?:ms|[smhdwMy])?\s*)*)$/);
+    if (!match) {
+      return null;
+    }
+    
+    let date;
+    if (match[1] === 'currentDate') {
+      date = new DateValue(Date.now(), { milliseconds });
+    } else {
+      date = DateValue.from(this.resolveReference(match[1], params));
+      if (!date) {
+        return null;
+      }
+      if (milliseconds) {
+        date = date.with(date.time, { milliseconds });
+      }
+    }
+    
+    const operations = /([+-])\s*(\d+)\s*(ms|[smhdwMy])?/g;
+    let operation;
+    while ((operation = operations.exec(match[2])) !== null) {
+      const amount = parseInt(operation[2], 10) * (operation[1] === '-' ? -1 : 1);
+      date = date.add(amount, operation[3] || (date.milliseconds ? 'ms' : 's'));
+    }
+    return date;
+  }
+
+  /**
+   * Process fake data expressions like email or number:1-10
+   * @param {string} expression Fake data expression to process
+   * @param {MockDataFaker} [faker] Generator to use, defaults to the unseeded one
+   * @returns {*} Generated value, or null for unknown generators
+   */
+  processFakeExpression(expression, faker = this.faker) {
+    return faker.generate(expression);
   }
 
   /**
    * Interpolate a string with parameters
    * @param {string} str String to interpolate
    * @param {Object} params Parameters object
-   * @returns {string|number} Interpolated string or number for date values
-   */
-  interpolateString(str, { pathParams, queryParams, body }) {
-    // Check if the entire string is just a date expression
-    // Examples: 
-    // - "{date:currentDate}" - seconds precision
-    // - "{date:currentDate(ms)}" - milliseconds precision
-    // - "{date:currentDate+3600}"
-    // - "{date:currentDate(ms)+3600}"
-    const pureDateMatch = str.match(/^\{date:([^}]+)\}$/);
-    if (pureDateMatch) {
-      const expression = pureDateMatch[1];
-      const timestamp = this.processDateExpression(expression);
-      if (timestamp !== null) {
-        // Return as a number instead of a string
-        return timestamp;
-      }
-    }
-    
-    // For mixed content or other types of placeholders, continue with string replacement
-    // Replace date expressions: {date:currentDate+10} or {date:currentDate(ms)+10}
-    let result = str.replace(/\{date:([^}]+)\}/g, (match, expression) => {
-      const timestamp = this.processDateExpression(expression);
-      return timestamp !== null ? timestamp.toString() : match;
-    });
+   * @returns {*} Interpolated string, or the value itself (keeping its type)
+   *   when the string is exactly one placeholder
+   */
+  interpolateString(str, params) {
+    const tokens = this.tokenize(str);
+    const values = tokens.map(token => (
+      token.type === 'placeholder' ? this.resolvePlaceholder(token.expression, params) : undefined
+    ));
     
-    // Replace path parameters: {params.id}
-    result = result.replace(/\{params\.([^}]+)\}/g, (match, paramName) => {
-      return pathParams[paramName] !== undefined ? pathParams[paramName] : match;
-    });
+    // "{body.items}" inserts the array itself, "{params.id:int}" a number
+    if (tokens.length === 1 && tokens[0].type === 'placeholder' && values[0] !== undefined) {
+      return values[0];
+    }
     
-    // Replace query parameters: {query.sort}
-    result = result.replace(/\{query\.([^}]+)\}/g, (match, paramName) => {
-      return queryParams[paramName] !== undefined ? queryParams[paramName] : match;
-    });
+    // Unresolved placeholders are kept as written
+    return tokens.map((token, index) => {
+      if (token.type === 'text') {
+        return token.value;
+      }
+      return values[index] === undefined ? token.raw : this.stringifyValue(values[index]);
+    }).join('');
+  }
+
+  /**
+   * Split a string into text and placeholder tokens. A placeholder is a "{"
+   * directly followed by a name, up to the matching "}" outside of quotes.
+   * @param {string} str String to split
+   * @returns {Array} Tokens: { type: 'text', value } or
+   *   { type: 'placeholder', expression, raw }
+   */
+  tokenize(str) {
+    const tokens = [];
+    let text = '';
+    let i = 0;
     
-    // Replace body fields: {body.user.name}
-    result = result.replace(/\{body\.([\w.]+)\}/g, (match, path) => {
-      const parts = path.split('.');
-      let current = body;
+    while (i < str.length) {
+      const end = str[i] === '{' && /[A-Za-z_$]/.test(str.charAt(i + 1))
+        ? this.findPlaceholderEnd(str, i + 1)
+        : -1;
       
-      // Navigate the nested structure
-      for (const part of parts) {
-        if (current === undefined || current === null) {
-          return match;  // Keep original if path is invalid
-        }
-        current = current[part];
+      if (end === -1) {
+        text += str[i];
+        i++;
+        continue;
       }
       
-      return current !== undefined ? JSON.stringify(current) : match;
-    });
+      if (text) {
+        tokens.push({ type: 'text', value: text });
+        text = '';
+      }
+      tokens.push({ type: 'placeholder', expression: str.slice(i + 1, end), raw: str.slice(i, end + 1) });
+      i = end + 1;
+    }
+    
+    if (text) {
+      tokens.push({ type: 'text', value: text });
+    }
+    return tokens;
+  }
+
+  /**
+   * Find the closing brace of a placeholder
+   * @param {string} str String being tokenized
+   * @param {number} start Index after the opening brace
+   * @returns {number} Index of the closing brace, or -1 if the placeholder is not closed
+   */
+  findPlaceholderEnd(str, start) {
+    let quote = null;
+    
+    for (let i = start; i < str.length; i++) {
+      const char = str[i];
+      if (quote) {
+        if (char === '\\') {
+          i++;
+        } else if (char === quote) {
+          quote = null;
+        }
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '}') {
+        return i;
+      } else if (char === '{') {
+        return -1;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Resolve the expression inside a placeholder, then apply its filters
+   * @param {string} expression Placeholder expression without braces, such
+   *   as "query.page|default:1"
+   * @param {Object} params Parameters object
+   * @returns {*} Resolved value, or undefined if it cannot be resolved
+   */
+  resolvePlaceholder(expression, params) {
+    const [head, ...filters] = this.splitOutside(expression, '|');
+    let value = this.resolveExpression(head.trim(), params);
+    
+    for (const filter of filters) {
+      const { name, args } = this.parseFilter(filter);
+      if (!Object.prototype.hasOwnProperty.call(this.filters, name)) {
+        return undefined;
+      }
+      // Missing values pass through every filter but default
+      if (value !== undefined || name === 'default') {
+        value = this.filters[name](value, ...args);
+      }
+    }
+    
+    // Dates not formatted by a filter become epoch timestamps
+    return value instanceof DateValue ? value.valueOf() : value;
+  }
+
+  /**
+   * Parse a filter such as "slice:0,10" or 'replace:"-"," "'
+   * @param {string} filter Filter text
+   * @returns {Object} Filter name and parsed arguments
+   */
+  parseFilter(filter) {
+    const separator = filter.indexOf(':');
+    if (separator === -1) {
+      return { name: filter.trim(), args: [] };
+    }
+    
+    const args = this.splitOutside(filter.slice(separator + 1), ',').map(arg => this.parseArgument(arg));
+    return { name: filter.slice(0, separator).trim(), args };
+  }
+
+  /**
+   * Parse a filter argument: quoted strings keep their text, unquoted numbers,
+   * booleans and null become typed values, anything else is a string
+   * @param {string} arg Argument text
+   * @returns {*} Argument value
+   */
+  parseArgument(arg) {
+    const trimmed = arg.trim();
+    const quoted = trimmed.match(/^(["'])([\s\S]*)\1$/);
+    if (quoted) {
+      return quoted[2].replace(/\\([\s\S])/g, '$1');
+    }
+    if (/^-?\d+(\.\d+)?$/.test(trimmed)) {
+      return Number(trimmed);
+    }
+    if (trimmed === 'true' || trimmed === 'false' || trimmed === 'null') {
+      return JSON.parse(trimmed);
+    }
+    return trimmed;
+  }
+
+  /**
+   * Split text on a single-character separator that is outside quotes and
+   * brackets. A doubled "|" (logical or) is not a separator.
+   * @param {string} text Text to split
+   * @param {string} separator Separator character
+   * @returns {Array} Parts
+   */
+  splitOutside(text, separator) {
+    const parts = [];
+    let quote = null;
+    let depth = 0;
+    let start = 0;
+    
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quote) {
+        if (char === '\\') {
+          i++;
+        } else if (char === quote) {
+          quote = null;
+        }
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '(' || char === '[') {
+        depth++;
+      } else if (char === ')' || char === ']') {
+        depth--;
+      } else if (char === separator && depth === 0) {
+        if (separator === '|' && (text[i + 1] === '|' || text[i - 1] === '|')) {
+          continue;
+        }
+        parts.push(text.slice(start, i));
+        start = i + 1;
+      }
+    }
     
-    return result;
+    parts.push(text.slice(start));
+    return parts;
+  }
+
+  /**
+   * Resolve a placeholder expression without filters: a registered handler
+   * such as "date:currentDate" or "fake:email", or a reference such as
+   * "params.id" with an optional cast ("params.id:int")
+   * @param {string} expression Expression to resolve
+   * @param {Object} params Parameters object
+   * @returns {*} Resolved value, or undefined if it cannot be resolved
+   */
+  resolveExpression(expression, params) {
+    const handlerMatch = expression.match(/^(\w+):([\s\S]*)$/);
+    if (handlerMatch && Object.prototype.hasOwnProperty.call(this.placeholderHandlers, handlerMatch[1])) {
+      const value = this.placeholderHandlers[handlerMatch[1]](handlerMatch[2], params);
+      return value === null ? undefined : value;
+    }
+    
+    const castMatch = expression.match(/^([\s\S]+):(\w+)$/);
+    if (castMatch && CASTS.includes(castMatch[2])) {
+      const value = this.resolveReference(castMatch[1], params);
+      return value === undefined ? undefined : this.castValue(value, castMatch[2]);
+    }
+    
+    return this.resolveReference(expression, params);
+  }
+
+  /**
+   * Evaluate a computed value such as "body.age >= 18" or
+   * "sum(body.items[*].price * body.items[*].qty)"; names are resolved like
+   * references, so "body", "query", "data" and scope variables are available
+   * @param {string} expression Expression to evaluate
+   * @param {Object} params Parameters object
+   * @returns {*} Result, or null if the expression is invalid or has no value
+   */
+  evaluateExpression(expression, params) {
+    try {
+      const value = this.expressions.evaluate(expression.trim(), name => this.resolveReference(name, params));
+      return value === undefined ? null : value;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Resolve a sequence placeholder: "{seq:orders}" issues the next value of
+   * the "orders" sequence, "{seq:orders:current}" repeats the last one
+   * @param {string} expression Sequence name, optionally followed by ":current"
+   * @param {Object} params Parameters object
+   * @returns {number|null} Sequence value, or null without sequence support
+   *   or a value to repeat
+   */
+  resolveSequence(expression, params) {
+    const match = expression.trim().match(/^([\w.-]+)(:current)?$/);
+    if (!match || !params.sequences) {
+      return null;
+    }
+    const value = match[2] ? params.sequences.current(match[1]) : params.sequences.next(match[1]);
+    return value === undefined ? null : value;
+  }
+
+  /**
+   * Resolve a JSONPath expression such as "$.items[?(@.qty > 1)].sku" against
+   * the request body or mockData. A cast name instead of a path ("{body:string}")
+   * converts the whole value, as it does for other references.
+   * @param {*} value Value to query
+   * @param {string} expression JSONPath expression or cast name
+   * @returns {*} The matched value for paths made of names and indexes, an
+   *   array of matches for wildcards, slices, filters and "..", or null if the
+   *   path is invalid or matches nothing
+   */
+  queryJsonPath(value, expression) {
+    const path = expression.trim();
+    if (CASTS.includes(path)) {
+      return value === undefined ? null : this.castValue(value, path);
+    }
+    if (path[0] !== '$' || value === undefined) {
+      return null;
+    }
+
+    try {
+      const result = this.jsonPath.evaluate(value, path);
+      return result === undefined ? null : result;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Register a placeholder namespace, e.g. "random" for "{random:uuid}"
+   * @param {string} name Namespace name
+   * @param {Function} handler Function receiving the text after the colon and
+   *   the parameters object, returning the value or null if it cannot be resolved
+   */
+  registerPlaceholder(name, handler) {
+    this.placeholderHandlers[name] = handler;
+  }
+
+  /**
+   * Convert a value to the type named by a cast
+   * @param {*} value Value to convert
+   * @param {string} type One of int, integer, float, number, bool, boolean or string
+   * @returns {*} Converted value, or undefined if it cannot be converted
+   */
+  castValue(value, type) {
+    switch (type) {
+      case 'int':
+      case 'integer': {
+        const number = typeof value === 'boolean' ? Number(value) : parseInt(value, 10);
+        return isNaN(number) ? undefined : number;
+      }
+      case 'float':
+      case 'number': {
+        const number = typeof value === 'string' && value.trim() === '' ? NaN : Number(value);
+        return isNaN(number) ? undefined : number;
+      }
+      case 'bool':
+      case 'boolean':
+        return this.isTruthy(value);
+      default:
+        return this.stringifyValue(value);
+    }
+  }
+
+  /**
+   * Convert a value for insertion into a longer string
+   * @param {*} value Value to convert
+   * @returns {string} Strings as they are, objects and arrays as JSON
+   */
+  stringifyValue(value) {
+    if (typeof value === 'string') {
+      return value;
+    }
+    return value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
   }
 }
 
 module.exports = MockApiResponseProcessor;
+module.exports.TemplateReferenceError = TemplateReferenceError;
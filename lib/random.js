@@ -0,0 +1,38 @@
+// File: lib/random.js
+class SeededRandom {
+  /**
+   * @param {number|string} seed Seed; strings and numbers are hashed so that
+   *   similar seeds such as "42" and "43" give unrelated sequences
+   */
+  constructor(seed) {
+    this.state = SeededRandom.hash(String(seed));
+  }
+
+  /**
+   * Hash a string to a 32-bit unsigned integer (FNV-1a)
+   * @param {string} value String to hash
+   * @returns {number} Hash value
+   */
+  static hash(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Next pseudo-random number of the sequence (mulberry32)
+   * @returns {number} Number in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+}
+
+module.exports = SeededRandom;
@@ -1,43 +1,637 @@
 // File: lib/router.js 
 class MockApiRouter {
     /**
-     * Find a matching route and extract path parameters
+     * @param {Object} [options] Matching options, routes can override the first two
+     * @param {boolean} [options.caseSensitive=true] Compare static segments case-sensitively
+     * @param {boolean} [options.strictTrailingSlash=false] Require the request and
+     *   route to agree on a trailing slash
+     * @param {boolean} [options.decodeParams=true] Percent-decode request path segments
+     */
+    constructor(options = {}) {
+      this.options = {
+        caseSensitive: options.caseSensitive !== undefined ? Boolean(options.caseSensitive) : true,
+        strictTrailingSlash: Boolean(options.strictTrailingSlash),
+        decodeParams: options.decodeParams !== false
+      };
+      // Compiled route indexes, keyed by the routes array they were built from
+      this.compiledRoutes = new WeakMap();
+    }
+
+    /**
+     * Find the most specific matching route and extract path parameters
      * @param {Array} routes Array of route configurations
      * @param {string} method HTTP method
      * @param {string} path Request path
+     * @param {Object} [options] Additional request information
+     * @param {string} [options.host] Request host, checked against route `host` patterns
+     * @param {string} [options.environment] Active environment, checked against route `environments`
+     * @param {Array} [options.tags] Active tags, checked against route `tags`
      * @returns {Object} Object containing matched route and path parameters
      */
-    findMatchingRoute(routes, method, path) {
+    findMatchingRoute(routes, method, path, options = {}) {
       // Validate routes array
       if (!routes || !Array.isArray(routes)) {
         console.warn('Warning: Invalid or empty routes configuration');
         return { route: null, pathParams: {} };
       }
 
-      for (const route of routes) {
+      const root = this.getRouteIndex(routes).get(method.toLowerCase());
+      if (!root) {
+        return { route: null, pathParams: {} };
+      }
+
+      const matches = this.collectMatches(root, path, options);
+      if (matches.length === 0) {
+        return { route: null, pathParams: {} };
+      }
+
+      matches.sort((a, b) => this.compareCandidates(a, b));
+      return { route: matches[0].route, pathParams: matches[0].params };
+    }
+
+    /**
+     * List the HTTP methods that have a route matching the path
+     * @param {Array} routes Array of route configurations
+     * @param {string} path Request path
+     * @param {Object} [options] Additional request information, as for findMatchingRoute
+     * @returns {Array} Upper-case method names, sorted alphabetically
+     */
+    findAllowedMethods(routes, path, options = {}) {
+      if (!routes || !Array.isArray(routes)) {
+        return [];
+      }
+
+      const methods = [];
+
+      for (const [method, root] of this.getRouteIndex(routes)) {
+        if (this.collectMatches(root, path, options).length > 0) {
+          methods.push(method.toUpperCase());
+        }
+      }
+
+      return methods.sort();
+    }
+
+    /**
+     * Collect the routes below a method's trie root that match a request
+     * @param {Object} root Trie root for one method
+     * @param {string} path Request path
+     * @param {Object} options Request host, environment and tags
+     * @returns {Array} Matching candidates with captured params
+     */
+    collectMatches(root, path, options) {
+      const trailingSlash = this.hasTrailingSlash(path);
+      const candidates = [];
+
+      this.collectCandidates(root, this.splitPath(path), 0, {}, candidates, new Set());
+
+      return candidates.filter(candidate => (
+        this.matchesTrailingSlash(candidate, trailingSlash) &&
+        this.matchesHost(candidate, options.host) &&
+        this.getInactiveReason(candidate, options) === null
+      ));
+    }
+
+    /**
+     * Check whether a route is switched on for the active environment and tags.
+     *
+     * Routes with `enabled: false` are always ignored. When an environment is
+     * active, routes listing `environments` are only used if it is one of them.
+     * When tags are active, routes listing `tags` are only used if they share
+     * at least one of them. Untagged routes and routes without environments
+     * are always used.
+     *
+     * @param {Object} candidate Compiled route entry
+     * @param {Object} options Active environment and tags
+     * @returns {string|null} Why the route is filtered out, or null if it is active
+     */
+    getInactiveReason(candidate, options) {
+      const { route } = candidate;
+
+      if (route.enabled === false) {
+        return 'route is disabled';
+      }
+
+      const environment = options.environment ? String(options.environment).toLowerCase() : null;
+      if (environment && candidate.environments && !candidate.environments.includes(environment)) {
+        return `route is not active in environment "${options.environment}"`;
+      }
+
+      const tags = (options.tags || []).map(tag => String(tag).toLowerCase());
+      if (tags.length > 0 && candidate.tags && !candidate.tags.some(tag => tags.includes(tag))) {
+        return `route tags (${route.tags.join(', ')}) do not include an active tag`;
+      }
+
+      return null;
+    }
+
+    /**
+     * Split a request path into segments, percent-decoding them unless disabled
+     * @param {string} path Request path
+     * @returns {Array} Path segments
+     */
+    splitPath(path) {
+      const parts = path.split('/').filter(Boolean);
+      return this.options.decodeParams ? parts.map(part => this.decodeSegment(part)) : parts;
+    }
+
+    /**
+     * Percent-decode a path segment, keeping it as is if it is malformed
+     * @param {string} segment Raw path segment
+     * @returns {string} Decoded segment
+     */
+    decodeSegment(segment) {
+      try {
+        return decodeURIComponent(segment);
+      } catch (error) {
+        return segment;
+      }
+    }
+
+    /**
+     * Check whether a path ends with a slash (the root path does not count)
+     * @param {string} path Path to check
+     * @returns {boolean} True if there is a trailing slash
+     */
+    hasTrailingSlash(path) {
+      return path.length > 1 && path.endsWith('/');
+    }
+
+    /**
+     * Check a matched route's trailing slash setting against the request
+     * @param {Object} candidate Compiled route entry
+     * @param {boolean} trailingSlash Whether the request path has a trailing slash
+     * @returns {boolean} True if the route is lenient or agrees with the request
+     */
+    matchesTrailingSlash(candidate, trailingSlash) {
+      return !candidate.strictTrailingSlash || candidate.trailingSlash === trailingSlash;
+    }
+
+    /**
+     * Find routes that almost match a request, to explain a 404.
+     *
+     * A route is a near miss when its path matches but the method, host or
+     * trailing slash does not, when the path only differs in letter case, or
+     * when it has the same number of segments with exactly one segment differing.
+     *
+     * @param {Array} routes Array of route configurations
+     * @param {string} method HTTP method
+     * @param {string} path Request path
+     * @param {Object} [options] Additional request information
+     * @param {string} [options.host] Request host, checked against route `host` patterns
+     * @param {string} [options.environment] Active environment
+     * @param {Array} [options.tags] Active tags
+     * @param {number} [options.limit=5] Maximum number of near misses to return
+     * @returns {Array} Near misses, closest first, each with the route's id,
+     *   method and path and the reasons it did not match
+     */
+    findNearMisses(routes, method, path, options = {}) {
+      if (!routes || !Array.isArray(routes)) {
+        return [];
+      }
+
+      const limit = options.limit !== undefined ? options.limit : 5;
+      const request = {
+        method: method.toLowerCase(),
+        parts: this.splitPath(path),
+        trailingSlash: this.hasTrailingSlash(path),
+        host: options.host,
+        environment: options.environment,
+        tags: options.tags
+      };
+      const nearMisses = [];
+
+      for (const methodRoot of this.getRouteIndex(routes).values()) {
+        this.forEachEntry(methodRoot, entry => {
+          const miss = this.diagnoseEntry(entry, request);
+          if (miss) {
+            nearMisses.push(miss);
+          }
+        });
+      }
+
+      return nearMisses
+        .sort((a, b) => a.distance - b.distance || a.index - b.index)
+        .slice(0, limit)
+        .map(({ route, reasons }) => ({
+          id: route.id,
+          method: route.method.toUpperCase(),
+          path: route.path,
+          reasons
+        }));
+    }
+
+    /**
+     * Explain why a compiled route does not match a request, if it comes close
+     * @param {Object} entry Compiled route entry
+     * @param {Object} request Lower-case method, path parts, trailing slash flag,
+     *   host, environment and tags
+     * @returns {Object|null} Near miss with reasons and a distance for sorting,
+     *   or null if the route matches or is not close
+     */
+    diagnoseEntry(entry, request) {
+      const { route } = entry;
+      const { method, parts, host } = request;
+      const segments = entry.caseSensitive ? entry.segments : this.lowerCaseSegments(entry.segments);
+      const reasons = [];
+      let distance;
+
+      if (this.matchSegments(segments, parts, 0, 0, {})) {
+        distance = 0;
+        if (!this.matchesTrailingSlash(entry, request.trailingSlash)) {
+          reasons.push(request.trailingSlash ? 'trailing slash is not allowed' : 'trailing slash is required');
+        }
+      } else if (this.matchSegments(this.lowerCaseSegments(segments), parts, 0, 0, {})) {
+        distance = 1;
+        reasons.push('path differs only in letter case');
+      } else {
+        const reason = this.describeSegmentMismatch(segments, parts);
+        if (!reason) {
+          return null;
+        }
+        distance = 2;
+        reasons.push(reason);
+      }
+
+      const routeMethod = route.method.toLowerCase();
+      if (routeMethod !== method) {
+        reasons.push(`method is ${route.method.toUpperCase()}, not ${method.toUpperCase()}`);
+      }
+
+      if (!this.matchesHost(entry, host)) {
+        const patterns = [].concat(route.host).join(', ');
+        reasons.push(host ? `host "${host}" does not match ${patterns}` : `requires host ${patterns}`);
+      }
+
+      const inactiveReason = this.getInactiveReason(entry, request);
+      if (inactiveReason) {
+        reasons.push(inactiveReason);
+      }
+
+      if (reasons.length === 0) {
+        return null;
+      }
+
+      return { route, reasons, distance, index: entry.index };
+    }
+
+    /**
+     * Describe the single differing segment between a route and a request
+     * with the same number of segments
+     * @param {Array} segments Parsed route segments
+     * @param {Array} parts Request path parts
+     * @returns {string|null} Reason, or null if the paths differ in another way
+     */
+    describeSegmentMismatch(segments, parts) {
+      const hasVariableLength = segments.some(segment => segment.type === 'splat' || segment.optional);
+      if (hasVariableLength || segments.length !== parts.length) {
+        return null;
+      }
+
+      const mismatches = [];
+      segments.forEach((segment, i) => {
+        if (segment.type === 'static' && !this.matchesStatic(segment, parts[i])) {
+          mismatches.push(`segment ${i + 1} is "${parts[i]}", expected "${segment.value}"`);
+        } else if (segment.type === 'param' && segment.pattern && !segment.pattern.test(parts[i])) {
+          mismatches.push(`segment ${i + 1} "${parts[i]}" does not satisfy the constraint of :${segment.name}`);
+        }
+      });
+
+      return mismatches.length === 1 ? mismatches[0] : null;
+    }
+
+    /**
+     * Copy parsed route segments with static segments compared case-insensitively
+     * @param {Array} segments Parsed route segments
+     * @returns {Array} Segments for case-insensitive comparison
+     */
+    lowerCaseSegments(segments) {
+      return segments.map(segment => (
+        segment.type === 'static'
+          ? { ...segment, value: segment.value.toLowerCase(), ignoreCase: true }
+          : segment
+      ));
+    }
+
+    /**
+     * Compare a request part with a static route segment
+     * @param {Object} segment Parsed static segment
+     * @param {string} part Request path part
+     * @returns {boolean} True if the part matches
+     */
+    matchesStatic(segment, part) {
+      if (part === undefined) {
+        return false;
+      }
+      return segment.ignoreCase ? part.toLowerCase() === segment.value : part === segment.value;
+    }
+
+    /**
+     * Visit every compiled route entry below a trie node
+     * @param {Object} node Trie node
+     * @param {Function} callback Called with each route entry
+     */
+    forEachEntry(node, callback) {
+      node.routes.forEach(callback);
+      for (const child of node.staticChildren.values()) {
+        this.forEachEntry(child, callback);
+      }
+      for (const child of node.insensitiveChildren.values()) {
+        this.forEachEntry(child, callback);
+      }
+      for (const { node: child } of node.dynamicChildren.values()) {
+        this.forEachEntry(child, callback);
+      }
+    }
+
+    /**
+     * Get the compiled index for a routes array, building it on first use.
+     * The index is cached for as long as the same array is passed in, so a
+     * freshly loaded configuration is compiled once and reused afterwards.
+     * @param {Array} routes Array of route configurations
+     * @returns {Map} Map of lower-case HTTP method to segment trie root
+     */
+    getRouteIndex(routes) {
+      let index = this.compiledRoutes.get(routes);
+      if (!index) {
+        index = this.compileRoutes(routes);
+        this.compiledRoutes.set(routes, index);
+      }
+      return index;
+    }
+
+    /**
+     * Drop the compiled index of a routes array, so that changes made to the
+     * array or its routes are picked up the next time it is used
+     * @param {Array} routes Array of route configurations
+     */
+    invalidateRouteIndex(routes) {
+      this.compiledRoutes.delete(routes);
+    }
+
+    /**
+     * Compile routes into a method-keyed segment trie
+     * @param {Array} routes Array of route configurations
+     * @returns {Map} Map of lower-case HTTP method to segment trie root
+     */
+    compileRoutes(routes) {
+      const index = new Map();
+
+      routes.forEach((route, position) => {
         // Skip empty route objects or ones without required properties
         if (!route || typeof route !== 'object') {
           console.warn('Warning: Skipping empty route object');
-          continue;
+          return;
         }
 
         if (!route.method || !route.path) {
           console.warn('Warning: Skipping invalid route configuration:', route);
-          continue;
+          return;
         }
 
-        if (route.method.toLowerCase() !== method) {
+        const segments = this.parseRoutePath(route.path);
+        if (!segments) {
+          return;
+        }
+
+        const method = route.method.toLowerCase();
+        if (!index.has(method)) {
+          index.set(method, this.createNode());
+        }
+
+        const caseSensitive = route.caseSensitive !== undefined
+          ? Boolean(route.caseSensitive)
+          : this.options.caseSensitive;
+        const strictTrailingSlash = route.strictTrailingSlash !== undefined
+          ? Boolean(route.strictTrailingSlash)
+          : this.options.strictTrailingSlash;
+
+        let node = index.get(method);
+        for (const segment of caseSensitive ? segments : this.lowerCaseSegments(segments)) {
+          node = this.getChildNode(node, segment);
+        }
+        node.routes.push({
+          route,
+          segments,
+          index: position,
+          hosts: this.compileHostPatterns(route.host),
+          caseSensitive,
+          strictTrailingSlash,
+          trailingSlash: this.hasTrailingSlash(route.path),
+          environments: this.normalizeList(route.environments),
+          tags: this.normalizeList(route.tags)
+        });
+      });
+
+      return index;
+    }
+
+    /**
+     * Lower-case a list setting such as `tags` for comparison
+     * @param {Array|string} list List of names, or a single name
+     * @returns {Array|null} Lower-case names, or null if the list is empty
+     */
+    normalizeList(list) {
+      if (list === undefined || list === null) {
+        return null;
+      }
+      const names = [].concat(list).map(name => String(name).toLowerCase());
+      return names.length > 0 ? names : null;
+    }
+
+    /**
+     * Compile a route `host` setting into regular expressions.
+     * A pattern is a host name where `*` matches any run of characters within
+     * one label (e.g. `*.mock.local`). The port is ignored unless the pattern
+     * names one. Several patterns may be given as an array.
+     * @param {string|Array} host Host pattern or list of patterns
+     * @returns {Array|null} Compiled patterns, or null if the route accepts any host
+     */
+    compileHostPatterns(host) {
+      if (host === undefined || host === null || host === '') {
+        return null;
+      }
+
+      return (Array.isArray(host) ? host : [host]).map(pattern => {
+        const source = String(pattern).toLowerCase()
+          .split('*')
+          .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+          .join('[^.]*');
+        return { regex: new RegExp(`^${source}$`), withPort: String(pattern).includes(':') };
+      });
+    }
+
+    /**
+     * Check whether a matched route accepts the request host
+     * @param {Object} candidate Compiled route entry
+     * @param {string} host Request host, optionally including a port
+     * @returns {boolean} True if the route has no host restriction or the host matches
+     */
+    matchesHost(candidate, host) {
+      if (!candidate.hosts) {
+        return true;
+      }
+      if (!host) {
+        return false;
+      }
+
+      const fullHost = String(host).toLowerCase();
+      const hostname = fullHost.replace(/:\d+$/, '');
+
+      return candidate.hosts.some(({ regex, withPort }) => regex.test(withPort ? fullHost : hostname));
+    }
+
+    /**
+     * Create an empty segment trie node
+     * @returns {Object} Trie node
+     */
+    createNode() {
+      return {
+        staticChildren: new Map(),
+        insensitiveChildren: new Map(),
+        dynamicChildren: new Map(),
+        routes: []
+      };
+    }
+
+    /**
+     * Get or create the child node for a parsed route segment
+     * @param {Object} node Parent trie node
+     * @param {Object} segment Parsed route segment
+     * @returns {Object} Child trie node
+     */
+    getChildNode(node, segment) {
+      if (segment.type === 'static') {
+        const children = segment.ignoreCase ? node.insensitiveChildren : node.staticChildren;
+        if (!children.has(segment.value)) {
+          children.set(segment.value, this.createNode());
+        }
+        return children.get(segment.value);
+      }
+
+      const key = [
+        segment.type,
+        segment.name,
+        segment.optional ? '?' : '',
+        segment.pattern ? segment.pattern.source : ''
+      ].join('|');
+
+      if (!node.dynamicChildren.has(key)) {
+        node.dynamicChildren.set(key, { segment, node: this.createNode() });
+      }
+      return node.dynamicChildren.get(key).node;
+    }
+
+    /**
+     * Walk the segment trie and collect every route matching the request parts.
+     * Alternatives are explored in the same order as matchSegments, so the first
+     * match recorded for a route carries the same parameters it would produce.
+     * @param {Object} node Current trie node
+     * @param {Array} parts Request path parts
+     * @param {number} partIndex Index of the request part being matched
+     * @param {Object} params Parameters captured so far
+     * @param {Array} candidates Collected matches
+     * @param {Set} seen Routes already collected
+     */
+    collectCandidates(node, parts, partIndex, params, candidates, seen) {
+      if (partIndex === parts.length) {
+        for (const entry of node.routes) {
+          if (!seen.has(entry)) {
+            seen.add(entry);
+            candidates.push({ ...entry, params });
+          }
+        }
+      }
+
+      const part = parts[partIndex];
+
+      if (part !== undefined && node.staticChildren.has(part)) {
+        this.collectCandidates(node.staticChildren.get(part), parts, partIndex + 1, params, candidates, seen);
+      }
+
+      if (part !== undefined && node.insensitiveChildren.has(part.toLowerCase())) {
+        this.collectCandidates(
+          node.insensitiveChildren.get(part.toLowerCase()), parts, partIndex + 1, params, candidates, seen
+        );
+      }
+
+      for (const { segment, node: child } of node.dynamicChildren.values()) {
+        if (segment.type === 'splat') {
+          for (let end = parts.length; end >= partIndex; end--) {
+            const value = parts.slice(partIndex, end).join('/');
+            if (!segment.pattern || segment.pattern.test(value)) {
+              this.collectCandidates(child, parts, end, { ...params, [segment.name]: value }, candidates, seen);
+            }
+          }
           continue;
         }
-  
-        const { isMatch, params } = this.matchPathWithParams(path, route.path);
-        
-        if (isMatch) {
-          return { route, pathParams: params };
+
+        if (part !== undefined && (!segment.pattern || segment.pattern.test(part))) {
+          this.collectCandidates(child, parts, partIndex + 1, { ...params, [segment.name]: part }, candidates, seen);
+        }
+
+        if (segment.optional) {
+          this.collectCandidates(child, parts, partIndex, params, candidates, seen);
         }
       }
-      
-      return { route: null, pathParams: {} };
+    }
+
+    /**
+     * Order two matching routes so that the most specific one comes first.
+     *
+     * Routes are ranked by, in order:
+     * 1. explicit `priority` (higher wins, defaults to 0)
+     * 2. routes restricted to a host before routes accepting any host
+     * 3. segment specificity from left to right:
+     *    static > constrained param > param > optional param > catch-all
+     * 4. fewer segments
+     * 5. position in the configuration (earlier wins)
+     *
+     * @param {Object} a Candidate with route, parsed segments and index
+     * @param {Object} b Candidate with route, parsed segments and index
+     * @returns {number} Negative if a ranks first, positive if b ranks first
+     */
+    compareCandidates(a, b) {
+      const priorityDiff = (Number(b.route.priority) || 0) - (Number(a.route.priority) || 0);
+      if (priorityDiff !== 0) {
+        return priorityDiff;
+      }
+
+      if (Boolean(a.hosts) !== Boolean(b.hosts)) {
+        return a.hosts ? -1 : 1;
+      }
+
+      const length = Math.min(a.segments.length, b.segments.length);
+      for (let i = 0; i < length; i++) {
+        const rankDiff = this.getSegmentRank(b.segments[i]) - this.getSegmentRank(a.segments[i]);
+        if (rankDiff !== 0) {
+          return rankDiff;
+        }
+      }
+
+      if (a.segments.length !== b.segments.length) {
+        return a.segments.length - b.segments.length;
+      }
+
+      return a.index - b.index;
+    }
+
+    /**
+     * Specificity rank of a parsed route segment
+     * @param {Object} segment Parsed route segment
+     * @returns {number} Rank, higher is more specific
+     */
+    getSegmentRank(segment) {
+      if (segment.type === 'static') {
+        return 4;
+      }
+      if (segment.type === 'splat') {
+        return 0;
+      }
+      if (segment.optional) {
+        return 1;
+      }
+      return segment.pattern ? 3 : 2;
     }
   
     /**
@@ -53,52 +647,307 @@ class MockApiRouter {
         return { isMatch: false, params: {} };
       }
 
-      // Create path parts for both
-      const routeParts = routePath.split('/').filter(Boolean);
-      const requestParts = requestPath.split('/').filter(Boolean);
-      
-      // Quick check - if different number of parts (excluding trailing slashes)
-      if (routeParts.length !== requestParts.length) {
+      const segments = this.parseRoutePath(routePath);
+      if (!segments) {
         return { isMatch: false, params: {} };
       }
-      
-      const params = {};
-      
-      for (let i = 0; i < routeParts.length; i++) {
-        const routePart = routeParts[i];
-        const requestPart = requestParts[i];
-        
-        // Check if this part is a parameter
-        if (routePart.startsWith(':')) {
-          // Extract parameter name (remove the colon)
-          const paramName = routePart.substring(1);
-          // Store parameter value
-          params[paramName] = requestPart;
+
+      if (this.options.strictTrailingSlash && this.hasTrailingSlash(requestPath) !== this.hasTrailingSlash(routePath)) {
+        return { isMatch: false, params: {} };
+      }
+
+      const requestParts = this.splitPath(requestPath);
+      const params = this.matchSegments(
+        this.options.caseSensitive ? segments : this.lowerCaseSegments(segments), requestParts, 0, 0, {}
+      );
+
+      return params ? { isMatch: true, params } : { isMatch: false, params: {} };
+    }
+
+    /**
+     * Parse a route path pattern into segment descriptors.
+     *
+     * Supported segments:
+     * - `users`      static segment, must match exactly
+     * - `:id`        named parameter
+     * - `:id?`       optional parameter
+     * - `:id(\\d+)`  parameter constrained by a regular expression
+     * - `:rest*`     catch-all capturing zero or more segments
+     * - `*`          catch-all captured as `rest`
+     *
+     * @param {string} routePath Route path pattern
+     * @returns {Array|null} Segment descriptors, or null if the pattern is invalid
+     */
+    parseRoutePath(routePath) {
+      const segments = [];
+
+      for (const part of routePath.split('/').filter(Boolean)) {
+        if (part === '*') {
+          segments.push({ type: 'splat', name: 'rest', pattern: null, optional: true });
           continue;
         }
-        
-        // If not a parameter, parts must match exactly
-        if (routePart !== requestPart) {
-          return { isMatch: false, params: {} };
+
+        const match = part.match(/^:(\w+)(?:\((.+)\))?([?*])?$/);
+        if (!match) {
+          segments.push({ type: 'static', value: part });
+          continue;
+        }
+
+        const [, name, constraint, modifier] = match;
+        let pattern = null;
+
+        if (constraint) {
+          try {
+            pattern = new RegExp(`^(?:${constraint})$`);
+          } catch (error) {
+            console.warn(`Warning: Invalid constraint in route path ${routePath}:`, error.message);
+            return null;
+          }
         }
+
+        segments.push({
+          type: modifier === '*' ? 'splat' : 'param',
+          name,
+          pattern,
+          optional: modifier === '?' || modifier === '*'
+        });
       }
-      
-      return { isMatch: true, params };
+
+      return segments;
+    }
+
+    /**
+     * Recursively match request path parts against parsed route segments
+     * @param {Array} segments Parsed route segments
+     * @param {Array} parts Request path parts
+     * @param {number} segmentIndex Index of the segment being matched
+     * @param {number} partIndex Index of the request part being matched
+     * @param {Object} params Parameters captured so far
+     * @returns {Object|null} Captured parameters, or null if the path does not match
+     */
+    matchSegments(segments, parts, segmentIndex, partIndex, params) {
+      if (segmentIndex === segments.length) {
+        return partIndex === parts.length ? params : null;
+      }
+
+      const segment = segments[segmentIndex];
+      const part = parts[partIndex];
+
+      if (segment.type === 'static') {
+        if (!this.matchesStatic(segment, part)) {
+          return null;
+        }
+        return this.matchSegments(segments, parts, segmentIndex + 1, partIndex + 1, params);
+      }
+
+      if (segment.type === 'splat') {
+        // Greedy: try the longest capture first and back off
+        for (let end = parts.length; end >= partIndex; end--) {
+          const value = parts.slice(partIndex, end).join('/');
+          if (segment.pattern && !segment.pattern.test(value)) {
+            continue;
+          }
+          const result = this.matchSegments(
+            segments, parts, segmentIndex + 1, end, { ...params, [segment.name]: value }
+          );
+          if (result) {
+            return result;
+          }
+        }
+        return null;
+      }
+
+      // Named parameter
+      if (part !== undefined && (!segment.pattern || segment.pattern.test(part))) {
+        const result = this.matchSegments(
+          segments, parts, segmentIndex + 1, partIndex + 1, { ...params, [segment.name]: part }
+        );
+        if (result) {
+          return result;
+        }
+      }
+
+      // Optional parameters may also be skipped entirely
+      if (segment.optional) {
+        return this.matchSegments(segments, parts, segmentIndex + 1, partIndex, params);
+      }
+
+      return null;
     }
   
     /**
-     * Load and validate routes from configuration
-     * @param {Object} routesConfig Configuration object containing routes
+     * Select the first response variant of a route whose `when` clause matches
+     * the request. A variant without a `when` clause always matches and acts
+     * as the default.
+     * @param {Object} route Matched route configuration
+     * @param {Object} context Request context with pathParams, queryParams, headers and body
+     * @returns {Object|null} Matching variant, or null if none matches
+     */
+    selectVariant(route, context) {
+      if (!route || !Array.isArray(route.variants)) {
+        return null;
+      }
+
+      for (const variant of route.variants) {
+        if (!variant || typeof variant !== 'object') {
+          continue;
+        }
+        if (!variant.when || this.matchesConditions(variant.when, context)) {
+          return variant;
+        }
+      }
+
+      return null;
+    }
+
+    /**
+     * Check a `when` clause against the request. Every listed field must match.
+     * @param {Object} when Conditions grouped by source: query, headers, params and body
+     * @param {Object} context Request context with pathParams, queryParams, headers and body
+     * @returns {boolean} True if all conditions match
+     */
+    matchesConditions(when, context) {
+      const sources = {
+        query: context.queryParams || {},
+        params: context.pathParams || {},
+        headers: context.headers || {},
+        body: context.body
+      };
+
+      for (const [source, conditions] of Object.entries(when)) {
+        if (!Object.prototype.hasOwnProperty.call(sources, source)) {
+          console.warn(`Warning: Unknown condition source "${source}" in route variant`);
+          return false;
+        }
+
+        for (const [field, matcher] of Object.entries(conditions || {})) {
+          const actual = source === 'headers'
+            ? this.getHeader(sources.headers, field)
+            : this.getFieldValue(sources[source], field);
+
+          if (!this.matchesValue(actual, matcher)) {
+            return false;
+          }
+        }
+      }
+
+      return true;
+    }
+
+    /**
+     * Match a single value against a condition.
+     *
+     * A primitive matcher is an equality check. An object matcher may combine
+     * `equals`, `regex` (with optional `flags`), `exists` and `in`; all given
+     * checks must pass.
+     *
+     * @param {*} actual Value taken from the request
+     * @param {*} matcher Condition to check
+     * @returns {boolean} True if the value satisfies the condition
+     */
+    matchesValue(actual, matcher) {
+      if (matcher === null || typeof matcher !== 'object' || Array.isArray(matcher)) {
+        return this.valuesEqual(actual, matcher);
+      }
+
+      if ('exists' in matcher && (actual !== undefined) !== Boolean(matcher.exists)) {
+        return false;
+      }
+
+      if ('equals' in matcher && !this.valuesEqual(actual, matcher.equals)) {
+        return false;
+      }
+
+      if ('in' in matcher) {
+        if (!Array.isArray(matcher.in) || !matcher.in.some(expected => this.valuesEqual(actual, expected))) {
+          return false;
+        }
+      }
+
+      if ('regex' in matcher) {
+        if (actual === undefined || actual === null || typeof actual === 'object') {
+          return false;
+        }
+        try {
+          if (!new RegExp(matcher.regex, matcher.flags).test(String(actual))) {
+            return false;
+          }
+        } catch (error) {
+          console.warn('Warning: Invalid regex in route variant condition:', error.message);
+          return false;
+        }
+      }
+
+      return true;
+    }
+
+    /**
+     * Compare a request value with an expected value. Query, path and header
+     * values arrive as strings, so primitives are compared by their string form.
+     * @param {*} actual Value taken from the request
+     * @param {*} expected Expected value
+     * @returns {boolean} True if the values are equal
+     */
+    valuesEqual(actual, expected) {
+      if (actual === expected) {
+        return true;
+      }
+      if (actual === undefined || actual === null || expected === null || typeof expected === 'object') {
+        return false;
+      }
+      return typeof actual !== 'object' && String(actual) === String(expected);
+    }
+
+    /**
+     * Read a nested field using dot notation (e.g. `user.address.city`)
+     * @param {*} source Object to read from
+     * @param {string} path Dot separated path
+     * @returns {*} Field value, or undefined if the path does not exist
+     */
+    getFieldValue(source, path) {
+      let current = source;
+      for (const part of path.split('.')) {
+        if (current === undefined || current === null || typeof current !== 'object') {
+          return undefined;
+        }
+        current = current[part];
+      }
+      return current;
+    }
+
+    /**
+     * Read a header value case-insensitively
+     * @param {Object} headers Request headers
+     * @param {string} name Header name
+     * @returns {string|undefined} Header value
+     */
+    getHeader(headers, name) {
+      const lowerName = name.toLowerCase();
+      for (const [key, value] of Object.entries(headers)) {
+        if (key.toLowerCase() === lowerName) {
+          return value;
+        }
+      }
+      return undefined;
+    }
+
+    /**
+     * Load and validate routes from configuration, flattening route groups
+     * @param {Object} routesConfig Configuration object containing routes and groups
      * @returns {Array} Validated array of routes
      */
     loadRoutes(routesConfig) {
-      if (!routesConfig || !routesConfig.routes || !Array.isArray(routesConfig.routes)) {
+      if (!routesConfig || (!Array.isArray(routesConfig.routes) && !Array.isArray(routesConfig.groups))) {
         console.warn('Warning: Invalid or empty routes configuration');
         return [];
       }
       
+      const routes = (routesConfig.routes || []).concat(
+        this.flattenGroups(routesConfig.groups || [], {})
+      );
+      
       // Filter out invalid route objects
-      return routesConfig.routes.filter(route => {
+      return routes.filter(route => {
         const isValid = route && typeof route === 'object' && route.path && route.method;
         if (!isValid) {
           console.warn('Warning: Skipping invalid route configuration:', route);
@@ -106,6 +955,96 @@ class MockApiRouter {
         return isValid;
       });
     }
+
+    /**
+     * Flatten route groups into plain routes.
+     *
+     * A group may declare a `basePath` prepended to its routes' paths, default
+     * `headers` merged under each route's headers, default `statusCode`,
+     * `delay`, `host` and `environments` used when a route does not set its
+     * own, `tags` added to each route's tags, `enabled: false` to switch all
+     * of its routes off, nested `routes` and nested `groups`. The
+     * configuration itself is not modified, so it keeps its grouping when
+     * saved back.
+     *
+     * @param {Array} groups Route group configurations
+     * @param {Object} inherited Defaults inherited from enclosing groups
+     * @returns {Array} Flattened routes
+     */
+    flattenGroups(groups, inherited) {
+      const routes = [];
+
+      for (const group of groups) {
+        if (!group || typeof group !== 'object') {
+          console.warn('Warning: Skipping invalid route group:', group);
+          continue;
+        }
+
+        const defaults = {
+          basePath: this.joinPaths(inherited.basePath, group.basePath),
+          headers: { ...inherited.headers, ...group.headers },
+          statusCode: group.statusCode !== undefined ? group.statusCode : inherited.statusCode,
+          delay: group.delay !== undefined ? group.delay : inherited.delay,
+          host: group.host !== undefined ? group.host : inherited.host,
+          environments: group.environments !== undefined ? group.environments : inherited.environments,
+          tags: (inherited.tags || []).concat(group.tags || []),
+          enabled: group.enabled === false ? false : inherited.enabled,
+          group: group.id !== undefined ? group.id : inherited.group
+        };
+
+        for (const route of group.routes || []) {
+          routes.push(this.applyGroupDefaults(route, defaults));
+        }
+
+        routes.push(...this.flattenGroups(group.groups || [], defaults));
+      }
+
+      return routes;
+    }
+
+    /**
+     * Create a copy of a grouped route with its group's defaults applied
+     * @param {Object} route Route configuration inside a group
+     * @param {Object} defaults Accumulated group defaults
+     * @returns {Object} Route with full path, merged headers and defaults
+     */
+    applyGroupDefaults(route, defaults) {
+      if (!route || typeof route !== 'object') {
+        return route;
+      }
+
+      const result = { ...route };
+
+      if (route.path) {
+        result.path = this.joinPaths(defaults.basePath, route.path);
+      }
+      if (Object.keys(defaults.headers).length > 0 || route.headers) {
+        result.headers = { ...defaults.headers, ...route.headers };
+      }
+      for (const key of ['statusCode', 'delay', 'host', 'environments', 'group']) {
+        if (result[key] === undefined && defaults[key] !== undefined) {
+          result[key] = defaults[key];
+        }
+      }
+      if (defaults.tags.length > 0) {
+        result.tags = Array.from(new Set(defaults.tags.concat(route.tags || [])));
+      }
+      if (defaults.enabled === false) {
+        result.enabled = false;
+      }
+
+      return result;
+    }
+
+    /**
+     * Join path fragments with single slashes
+     * @param {...string} paths Path fragments, undefined entries are skipped
+     * @returns {string} Joined path
+     */
+    joinPaths(...paths) {
+      const joined = paths.filter(Boolean).join('/').replace(/\/{2,}/g, '/');
+      return joined && !joined.startsWith('/') ? `/${joined}` : joined;
+    }
   }
   
   module.exports = MockApiRouter;
@@ -0,0 +1,100 @@
+// File: lib/sequences.js
+
+class MockApiSequences {
+  constructor() {
+    // Last value issued by this process, per sequence. Kept apart from the
+    // configuration so that reloading a stale copy from storage cannot make
+    // a sequence issue the same value twice.
+    this.values = {};
+    // Whether values were issued since the last save
+    this.dirty = false;
+  }
+
+  /**
+   * Get the settings of a sequence from the configuration's `sequences` section
+   * @param {Object} data Mock API configuration
+   * @param {string} name Sequence name
+   * @returns {Object} First value (`start`, defaults to 1) and increment (`step`, defaults to 1)
+   */
+  getConfig(data, name) {
+    const sequences = (data && data.sequences) || {};
+    const config = Object.prototype.hasOwnProperty.call(sequences, name) ? sequences[name] : {};
+    return {
+      start: Number.isInteger(config.start) ? config.start : 1,
+      step: Number.isInteger(config.step) && config.step > 0 ? config.step : 1
+    };
+  }
+
+  /**
+   * Get the stored sequence values from the configuration's `state` section
+   * @param {Object} data Mock API configuration
+   * @returns {Object} Last issued values keyed by sequence name
+   */
+  getStored(data) {
+    return (data && data.state && data.state.sequences) || {};
+  }
+
+  /**
+   * Get the last value issued by a sequence
+   * @param {Object} data Mock API configuration
+   * @param {string} name Sequence name
+   * @returns {number|undefined} Last value, or undefined if none was issued
+   */
+  current(data, name) {
+    const stored = this.getStored(data);
+    const candidates = [this.values[name], stored[name]].filter(Number.isInteger);
+    return candidates.length > 0 ? Math.max(...candidates) : undefined;
+  }
+
+  /**
+   * Issue the next value of a sequence. Values are reserved synchronously,
+   * so concurrent requests in one process never receive the same value.
+   * @param {Object} data Mock API configuration
+   * @param {string} name Sequence name
+   * @returns {number} Issued value
+   */
+  next(data, name) {
+    const { start, step } = this.getConfig(data, name);
+    const current = this.current(data, name);
+    const value = current === undefined ? start : Math.max(current + step, start);
+
+    this.values[name] = value;
+    this.dirty = true;
+    return value;
+  }
+
+  /**
+   * Write the issued values into the configuration's `state.sequences`, ready to be saved
+   * @param {Object} data Mock API configuration
+   */
+  apply(data) {
+    const sequences = { ...this.getStored(data) };
+    for (const name of Object.keys(this.values)) {
+      sequences[name] = this.current(data, name);
+    }
+    data.state = { ...data.state, sequences };
+  }
+
+  /**
+   * Reset one or all sequences, so that they start over from their `start` value
+   * @param {Object} data Mock API configuration
+   * @param {string} [name] Sequence to reset, all sequences if omitted
+   * @returns {Array} Names of the reset sequences
+   */
+  reset(data, name) {
+    const stored = this.getStored(data);
+    const names = name !== undefined
+      ? [name]
+      : Array.from(new Set(Object.keys(this.values).concat(Object.keys(stored))));
+
+    const sequences = { ...stored };
+    for (const sequence of names) {
+      delete this.values[sequence];
+      delete sequences[sequence];
+    }
+    data.state = { ...data.state, sequences };
+    return names;
+  }
+}
+
+module.exports = MockApiSequences;
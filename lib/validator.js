@@ -0,0 +1,296 @@
+// File: lib/validator.js
+const defaultSchema = require('./schema.json');
+
+class MockApiConfigValidator {
+  /**
+   * @param {Object} [schema] JSON Schema to validate against (defaults to lib/schema.json)
+   */
+  constructor(schema = defaultSchema) {
+    this.schema = schema;
+  }
+
+  /**
+   * Validate a mock API configuration against the schema
+   * @param {Object} config Configuration object with routes, groups and mockData
+   * @returns {Object} Object with a `valid` flag and a list of `errors`, each
+   *   having a JSON `pointer` to the offending value, the schema `keyword`
+   *   that failed and a readable `message`
+   */
+  validate(config) {
+    const errors = [];
+    this.validateValue(config, this.schema, '', errors);
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Validate a value against a schema, collecting errors
+   * @param {*} value Value to validate
+   * @param {Object} schema Schema (or sub-schema) to validate against
+   * @param {string} pointer JSON pointer of the value
+   * @param {Array} errors Collected errors
+   */
+  validateValue(value, schema, pointer, errors) {
+    if (schema.$ref) {
+      this.validateValue(value, this.resolveRef(schema.$ref), pointer, errors);
+      return;
+    }
+
+    if (schema.anyOf) {
+      const matches = schema.anyOf.some(option => {
+        const optionErrors = [];
+        this.validateValue(value, option, pointer, optionErrors);
+        return optionErrors.length === 0;
+      });
+      if (matches) {
+        return;
+      }
+
+      // When only one alternative has the right type, its errors are the most useful
+      const sameType = schema.anyOf.filter(option => {
+        const resolved = option.$ref ? this.resolveRef(option.$ref) : option;
+        return !resolved.type || this.matchesType(value, resolved.type);
+      });
+      if (sameType.length === 1) {
+        this.validateValue(value, sameType[0], pointer, errors);
+      } else {
+        errors.push(this.createError(pointer, 'anyOf', `must be ${this.describeOptions(schema.anyOf)}`));
+      }
+      return;
+    }
+
+    if (schema.type && !this.matchesType(value, schema.type)) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      errors.push(this.createError(pointer, 'type', `must be ${types.map(type => this.article(type)).join(' or ')}`));
+      return;
+    }
+
+    if (schema.enum && !schema.enum.some(option => option === value)) {
+      const options = Array.from(new Set(schema.enum.map(option => String(option).toUpperCase())));
+      errors.push(this.createError(pointer, 'enum', `must be one of ${options.join(', ')}`));
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(this.createError(pointer, 'minimum', `must be at least ${schema.minimum}`));
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(this.createError(pointer, 'maximum', `must be at most ${schema.maximum}`));
+      }
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(this.createError(pointer, 'minLength', 'must not be empty'));
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push(this.createError(pointer, 'pattern', `must match ${schema.pattern}`));
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(this.createError(pointer, 'minItems', `must contain at least ${schema.minItems} item(s)`));
+      }
+      if (schema.items) {
+        value.forEach((item, index) => {
+          this.validateValue(item, schema.items, `${pointer}/${index}`, errors);
+        });
+      }
+    }
+
+    if (this.isPlainObject(value)) {
+      this.validateObject(value, schema, pointer, errors);
+    }
+  }
+
+  /**
+   * Validate object keywords: required, properties, patternProperties and
+   * additionalProperties
+   * @param {Object} value Object to validate
+   * @param {Object} schema Schema to validate against
+   * @param {string} pointer JSON pointer of the object
+   * @param {Array} errors Collected errors
+   */
+  validateObject(value, schema, pointer, errors) {
+    const properties = schema.properties || {};
+    const patterns = Object.keys(schema.patternProperties || {});
+
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push(this.createError(`${pointer}/${this.escapePointer(name)}`, 'required', 'is required'));
+      }
+    }
+
+    for (const [name, propertyValue] of Object.entries(value)) {
+      const propertyPointer = `${pointer}/${this.escapePointer(name)}`;
+
+      if (Object.prototype.hasOwnProperty.call(properties, name)) {
+        this.validateValue(propertyValue, properties[name], propertyPointer, errors);
+        continue;
+      }
+
+      const pattern = patterns.find(source => new RegExp(source).test(name));
+      if (pattern) {
+        this.validateValue(propertyValue, schema.patternProperties[pattern], propertyPointer, errors);
+        continue;
+      }
+
+      if (schema.additionalProperties === false) {
+        const suggestion = this.suggestProperty(name, Object.keys(properties));
+        errors.push(this.createError(
+          propertyPointer,
+          'additionalProperties',
+          suggestion
+            ? `is not an allowed property, did you mean "${suggestion}"?`
+            : 'is not an allowed property'
+        ));
+      } else if (this.isPlainObject(schema.additionalProperties)) {
+        this.validateValue(propertyValue, schema.additionalProperties, propertyPointer, errors);
+      }
+    }
+  }
+
+  /**
+   * Resolve a local schema reference such as `#/definitions/route`
+   * @param {string} ref Reference to resolve
+   * @returns {Object} Referenced schema
+   */
+  resolveRef(ref) {
+    if (!ref.startsWith('#/')) {
+      throw new Error(`Unsupported schema reference: ${ref}`);
+    }
+
+    let current = this.schema;
+    for (const part of ref.slice(2).split('/')) {
+      current = current && current[part.replace(/~1/g, '/').replace(/~0/g, '~')];
+    }
+
+    if (!current) {
+      throw new Error(`Unresolvable schema reference: ${ref}`);
+    }
+    return current;
+  }
+
+  /**
+   * Check a value against one or more JSON Schema types
+   * @param {*} value Value to check
+   * @param {string|Array} type Type name or list of type names
+   * @returns {boolean} True if the value has one of the types
+   */
+  matchesType(value, type) {
+    const types = Array.isArray(type) ? type : [type];
+    return types.some(name => {
+      switch (name) {
+        case 'object': return this.isPlainObject(value);
+        case 'array': return Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'null': return value === null;
+        default: return typeof value === name;
+      }
+    });
+  }
+
+  /**
+   * Describe the alternatives of an anyOf keyword for error messages
+   * @param {Array} options anyOf sub-schemas
+   * @returns {string} Readable description
+   */
+  describeOptions(options) {
+    const types = [];
+    for (const option of options) {
+      const schema = option.$ref ? this.resolveRef(option.$ref) : option;
+      for (const type of [].concat(schema.type || 'valid value')) {
+        if (!types.includes(type)) {
+          types.push(type);
+        }
+      }
+    }
+    return types.map(type => this.article(type)).join(' or ');
+  }
+
+  /**
+   * Find the closest known property name to an unknown one, to catch typos
+   * @param {string} name Unknown property name
+   * @param {Array} candidates Known property names
+   * @returns {string|null} Closest candidate within a small edit distance
+   */
+  suggestProperty(name, candidates) {
+    let best = null;
+    let bestDistance = Infinity;
+
+    for (const candidate of candidates) {
+      const distance = this.editDistance(name.toLowerCase(), candidate.toLowerCase());
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    }
+
+    return bestDistance <= Math.max(1, Math.floor(name.length / 3)) ? best : null;
+  }
+
+  /**
+   * Levenshtein distance between two strings
+   * @param {string} a First string
+   * @param {string} b Second string
+   * @returns {number} Number of single character edits
+   */
+  editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * Create a validation error entry
+   * @param {string} pointer JSON pointer of the offending value
+   * @param {string} keyword Schema keyword that failed
+   * @param {string} message Readable description of the problem
+   * @returns {Object} Validation error
+   */
+  createError(pointer, keyword, message) {
+    return { pointer, keyword, message };
+  }
+
+  /**
+   * Escape a property name for use in a JSON pointer (RFC 6901)
+   * @param {string} name Property name
+   * @returns {string} Escaped pointer token
+   */
+  escapePointer(name) {
+    return String(name).replace(/~/g, '~0').replace(/\//g, '~1');
+  }
+
+  /**
+   * Prefix a type name with "a" or "an"
+   * @param {string} type Type name
+   * @returns {string} Type name with its article
+   */
+  article(type) {
+    return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+  }
+
+  /**
+   * Check whether a value is a non-array object
+   * @param {*} value Value to check
+   * @returns {boolean} True for plain objects
+   */
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
+
+module.exports = MockApiConfigValidator;
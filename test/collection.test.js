@@ -0,0 +1,126 @@
+// File: test/collection.test.js
+const { expect } = require('chai');
+const MockApiCollection = require('../lib/collection');
+
+describe('MockApiCollection', () => {
+  let collection;
+  const mockData = {
+    users: [
+      { id: 1, name: 'Dave', role: 'admin', age: 41, address: { city: 'Paris' } },
+      { id: 2, name: 'Alice', role: 'user', age: 29, address: { city: 'Berlin' } },
+      { id: 3, name: 'Carol', role: 'admin', age: 35, address: { city: 'Berlin' } },
+      { id: 4, name: 'Bob', role: 'editor', age: 29, address: { city: 'Rome' } },
+      { id: 5, name: 'Eve', role: 'user' }
+    ]
+  };
+  const ids = page => page.data.map(item => item.id);
+
+  beforeEach(() => {
+    collection = new MockApiCollection();
+  });
+
+  describe('query', () => {
+    it('should return the first page with totals by default', () => {
+      const page = collection.query(mockData, 'users', {});
+
+      expect(ids(page)).to.deep.equal([1, 2, 3, 4, 5]);
+      expect(page.meta).to.deep.equal({
+        total: 5,
+        count: 5,
+        limit: 20,
+        offset: 0,
+        page: 1,
+        totalPages: 1,
+        nextCursor: null,
+        prevCursor: null
+      });
+    });
+
+    it('should paginate with page and limit', () => {
+      const page = collection.query(mockData, 'users', { page: '2', limit: '2' });
+
+      expect(ids(page)).to.deep.equal([3, 4]);
+      expect(page.meta).to.include({ total: 5, count: 2, offset: 2, page: 2, totalPages: 3 });
+      expect(page.mode).to.equal('page');
+    });
+
+    it('should paginate with offset', () => {
+      const page = collection.query(mockData, 'users', { offset: '3', limit: '10' });
+
+      expect(ids(page)).to.deep.equal([4, 5]);
+      expect(page.mode).to.equal('offset');
+    });
+
+    it('should paginate with cursors', () => {
+      const first = collection.query(mockData, 'users', { limit: '2' });
+      const second = collection.query(mockData, 'users', { limit: '2', cursor: first.meta.nextCursor });
+      const last = collection.query(mockData, 'users', { limit: '2', cursor: second.meta.nextCursor });
+
+      expect(ids(second)).to.deep.equal([3, 4]);
+      expect(ids(last)).to.deep.equal([5]);
+      expect(last.meta.nextCursor).to.be.null;
+      expect(collection.query(mockData, 'users', { cursor: last.meta.prevCursor }).data[0].id).to.equal(3);
+    });
+
+    it('should reject invalid cursors', () => {
+      expect(collection.query(mockData, 'users', { cursor: 'nope' })).to.deep.equal({ error: 'Invalid cursor' });
+    });
+
+    it('should cap the limit', () => {
+      const page = collection.query(mockData, { source: 'users', maxLimit: 2 }, { limit: '50' });
+
+      expect(page.meta.limit).to.equal(2);
+    });
+
+    it('should sort by one or more fields', () => {
+      expect(ids(collection.query(mockData, 'users', { sort: 'name' }))).to.deep.equal([2, 4, 3, 1, 5]);
+      expect(ids(collection.query(mockData, 'users', { sort: 'age:desc' }))).to.deep.equal([1, 3, 2, 4, 5]);
+      expect(ids(collection.query(mockData, 'users', { sort: 'age,-name' }))).to.deep.equal([4, 2, 3, 1, 5]);
+    });
+
+    it('should filter by fields and ignore unknown parameters', () => {
+      expect(ids(collection.query(mockData, 'users', { role: 'admin', include: 'x' }))).to.deep.equal([1, 3]);
+      expect(ids(collection.query(mockData, 'users', { 'address.city': 'Berlin' }))).to.deep.equal([2, 3]);
+      expect(ids(collection.query(mockData, 'users', { role: ['admin', 'editor'] }))).to.deep.equal([1, 3, 4]);
+      expect(ids(collection.query(mockData, 'users', { age: '29' }))).to.deep.equal([2, 4]);
+    });
+
+    it('should only filter on listed fields when filterable is set', () => {
+      const page = collection.query(mockData, { source: 'users', filterable: ['role'] }, { role: 'user', age: '29' });
+
+      expect(ids(page)).to.deep.equal([2, 5]);
+    });
+
+    it('should read nested sources and return nothing for missing ones', () => {
+      expect(collection.query({ catalog: { items: [{ id: 1 }] } }, 'catalog.items', {}).meta.total).to.equal(1);
+      expect(collection.query({}, 'missing', {}).data).to.deep.equal([]);
+    });
+  });
+
+  describe('buildLinkHeader', () => {
+    it('should link to the first, previous, next and last pages', () => {
+      const query = { page: '2', limit: '2', role: 'user' };
+      const page = collection.query({ users: mockData.users.concat(mockData.users) }, 'users', { page: '2', limit: '2' });
+
+      expect(collection.buildLinkHeader('/users', query, page)).to.equal([
+        '</users?limit=2&role=user&page=1>; rel="first"',
+        '</users?limit=2&role=user&page=1>; rel="prev"',
+        '</users?limit=2&role=user&page=3>; rel="next"',
+        '</users?limit=2&role=user&page=5>; rel="last"'
+      ].join(', '));
+    });
+
+    it('should keep the pagination style of the request', () => {
+      const page = collection.query(mockData, 'users', { offset: '0', limit: '4' });
+
+      expect(collection.buildLinkHeader('/users', { offset: '0', limit: '4' }, page))
+        .to.equal('</users?limit=4&offset=4>; rel="next", </users?limit=4&offset=4>; rel="last"');
+    });
+
+    it('should be empty for a single page', () => {
+      const page = collection.query(mockData, 'users', {});
+
+      expect(collection.buildLinkHeader('/users', {}, page)).to.equal('');
+    });
+  });
+});
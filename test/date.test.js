@@ -0,0 +1,88 @@
+// File: test/date.test.js
+const { expect } = require('chai');
+const DateValue = require('../lib/date');
+
+describe('DateValue', () => {
+  // 2021-01-31 15:45:30.250 UTC, a Sunday
+  const time = Date.UTC(2021, 0, 31, 15, 45, 30, 250);
+
+  describe('from', () => {
+    it('should read epoch seconds, milliseconds and date strings', () => {
+      expect(DateValue.from(1612107930).time).to.equal(1612107930000);
+      expect(DateValue.from('1612107930250').time).to.equal(1612107930250);
+      expect(DateValue.from('2021-01-31').time).to.equal(Date.UTC(2021, 0, 31));
+    });
+
+    it('should keep the offset of ISO-8601 strings', () => {
+      const date = DateValue.from('2021-01-31T10:00:00+05:30');
+
+      expect(date.offset).to.equal(330);
+      expect(date.toISOString()).to.equal('2021-01-31T10:00:00.000+05:30');
+    });
+
+    it('should return null for values that are not dates', () => {
+      expect(DateValue.from('soon')).to.be.null;
+      expect(DateValue.from(undefined)).to.be.null;
+    });
+  });
+
+  describe('add', () => {
+    it('should add fixed units', () => {
+      const date = new DateValue(time);
+
+      expect(date.add(2, 'h').time).to.equal(time + 2 * 60 * 60 * 1000);
+      expect(date.add(-1, 'w').time).to.equal(time - 7 * 24 * 60 * 60 * 1000);
+    });
+
+    it('should add calendar months, keeping the day within the month', () => {
+      const date = new DateValue(time);
+
+      expect(date.add(1, 'M').toISOString()).to.equal('2021-02-28T15:45:30.250Z');
+      expect(date.add(1, 'y').toISOString()).to.equal('2022-01-31T15:45:30.250Z');
+    });
+  });
+
+  describe('startOf and endOf', () => {
+    it('should anchor to the start and end of a unit', () => {
+      const date = new DateValue(time);
+
+      expect(date.startOf('day').toISOString()).to.equal('2021-01-31T00:00:00.000Z');
+      expect(date.startOf('week').toISOString()).to.equal('2021-01-25T00:00:00.000Z');
+      expect(date.startOf('month').toISOString()).to.equal('2021-01-01T00:00:00.000Z');
+      expect(date.endOf('month').toISOString()).to.equal('2021-01-31T23:59:59.999Z');
+      expect(date.endOf('year').toISOString()).to.equal('2021-12-31T23:59:59.999Z');
+    });
+
+    it('should anchor in the date offset', () => {
+      const date = new DateValue(time, { offset: 540 });
+
+      expect(date.startOf('day').toISOString()).to.equal('2021-02-01T00:00:00.000+09:00');
+    });
+
+    it('should return null for unknown units', () => {
+      expect(new DateValue(time).startOf('decade')).to.be.null;
+    });
+  });
+
+  describe('formatting', () => {
+    it('should format as RFC 2822', () => {
+      expect(new DateValue(time).toRFC2822()).to.equal('Sun, 31 Jan 2021 15:45:30 +0000');
+    });
+
+    it('should format with tokens and literal text', () => {
+      const date = new DateValue(time, { offset: -300 });
+
+      expect(date.format('dddd D MMMM YYYY [at] h:mm A Z')).to.equal('Sunday 31 January 2021 at 10:45 AM -05:00');
+    });
+  });
+
+  describe('parseOffset', () => {
+    it('should parse offsets', () => {
+      expect(DateValue.parseOffset('+05:30')).to.equal(330);
+      expect(DateValue.parseOffset('-0800')).to.equal(-480);
+      expect(DateValue.parseOffset('UTC')).to.equal(0);
+      expect(DateValue.parseOffset(2)).to.equal(120);
+      expect(DateValue.parseOffset('Mars/Olympus')).to.be.null;
+    });
+  });
+});
@@ -0,0 +1,119 @@
+// File: test/expression.test.js
+const { expect } = require('chai');
+const MockApiExpression = require('../lib/expression');
+
+describe('MockApiExpression', () => {
+  let expressions;
+  const values = {
+    body: {
+      age: 20,
+      name: 'ada',
+      items: [{ sku: 'A1', price: 2, qty: 3 }, { sku: 'B2', price: 5, qty: 1 }]
+    },
+    query: { page: '2', active: 'true' }
+  };
+  const evaluate = source => expressions.evaluate(source, name => values[name]);
+
+  beforeEach(() => {
+    expressions = new MockApiExpression();
+  });
+
+  describe('evaluate', () => {
+    it('should evaluate arithmetic with precedence', () => {
+      expect(evaluate('1 + 2 * 3')).to.equal(7);
+      expect(evaluate('(1 + 2) * 3')).to.equal(9);
+      expect(evaluate('10 - 4 - 3')).to.equal(3);
+      expect(evaluate('7 % 4 + -1')).to.equal(2);
+      expect(evaluate('body.age / 8')).to.equal(2.5);
+    });
+
+    it('should return null for arithmetic without a number result', () => {
+      expect(evaluate('1 / 0')).to.be.null;
+      expect(evaluate('body.missing * 2')).to.be.null;
+    });
+
+    it('should concatenate strings', () => {
+      expect(evaluate('"Hello, " + body.name + "!"')).to.equal('Hello, ada!');
+      expect(evaluate("'Page ' + query.page")).to.equal('Page 2');
+      expect(evaluate("'id-' + body.age")).to.equal('id-20');
+    });
+
+    it('should compare values', () => {
+      expect(evaluate('body.age >= 18')).to.be.true;
+      expect(evaluate('query.page == 2')).to.be.true;
+      expect(evaluate('query.page === 2')).to.be.false;
+      expect(evaluate("body.name != 'bob'")).to.be.true;
+      expect(evaluate("'abc' < 'abd'")).to.be.true;
+      expect(evaluate("body.name > 3")).to.be.false;
+      expect(evaluate('body.missing == null')).to.be.true;
+    });
+
+    it('should evaluate logical operators and ternaries', () => {
+      expect(evaluate("body.age > 30 ? 'senior' : body.age > 18 ? 'adult' : 'minor'")).to.equal('adult');
+      expect(evaluate('body.missing || "fallback"')).to.equal('fallback');
+      expect(evaluate('body.name && body.age')).to.equal(20);
+      expect(evaluate('body.missing ?? 0')).to.equal(0);
+      expect(evaluate('!body.missing')).to.be.true;
+    });
+
+    it('should access members by name and index', () => {
+      expect(evaluate('body.items[0].sku')).to.equal('A1');
+      expect(evaluate('body.items[-1]["sku"]')).to.equal('B2');
+      expect(evaluate('body.items.length')).to.equal(2);
+      expect(evaluate('body.name.constructor')).to.be.undefined;
+      expect(evaluate('body.toString')).to.be.undefined;
+    });
+
+    it('should project lists with [*] and apply arithmetic element by element', () => {
+      expect(evaluate('body.items[*].price')).to.deep.equal([2, 5]);
+      expect(evaluate('body.items[*].price * body.items[*].qty')).to.deep.equal([6, 5]);
+      expect(evaluate('body.items[*].price * 10')).to.deep.equal([20, 50]);
+      expect(evaluate('sum(body.items[*].price * body.items[*].qty)')).to.equal(11);
+    });
+
+    it('should map and filter lists with @', () => {
+      expect(evaluate('sum(map(body.items, @.price * @.qty))')).to.equal(11);
+      expect(evaluate('map(filter(body.items, @.qty > 1), @.sku)')).to.deep.equal(['A1']);
+    });
+
+    it('should provide a function library', () => {
+      expect(evaluate('avg(body.items[*].price)')).to.equal(3.5);
+      expect(evaluate('min(body.items[*].price, 1)')).to.equal(1);
+      expect(evaluate('max(body.items[*].qty)')).to.equal(3);
+      expect(evaluate('round(2 / 3, 2)')).to.equal(0.67);
+      expect(evaluate('len(body.items) + len(body.name)')).to.equal(5);
+      expect(evaluate('upper(body.name)')).to.equal('ADA');
+      expect(evaluate("concat(body.name, '-', body.age)")).to.equal('ada-20');
+      expect(evaluate("join(body.items[*].sku, '|')")).to.equal('A1|B2');
+      expect(evaluate("contains(body.items[*].sku, 'B2')")).to.be.true;
+      expect(evaluate('coalesce(body.missing, query.page)')).to.equal('2');
+      expect(evaluate('number(query.page) + 1')).to.equal(3);
+    });
+
+    it('should call registered functions', () => {
+      expressions.registerFunction('vat', price => price * 0.2);
+
+      expect(evaluate('vat(body.items[1].price)')).to.equal(1);
+    });
+
+    it('should not reach JavaScript globals', () => {
+      expect(evaluate('process')).to.be.undefined;
+      expect(() => evaluate('eval("1")')).to.throw('Unknown function "eval"');
+      expect(() => evaluate('body.name.toUpperCase()')).to.throw();
+      expect(() => evaluate('constructor("return process")')).to.throw('Unknown function "constructor"');
+    });
+
+    it('should use the configured truthiness', () => {
+      expressions = new MockApiExpression({ isTruthy: value => value !== 'false' && Boolean(value) });
+
+      expect(evaluate("query.active == 'true' && 'false' ? 1 : 2")).to.equal(2);
+    });
+
+    it('should throw for invalid expressions', () => {
+      expect(() => evaluate('1 +')).to.throw('Unexpected end of expression');
+      expect(() => evaluate('(1 + 2')).to.throw('Expected ")"');
+      expect(() => evaluate('body.age # 2')).to.throw('Unexpected "#"');
+      expect(() => evaluate('1 2')).to.throw('Unexpected "2"');
+    });
+  });
+});
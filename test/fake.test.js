@@ -0,0 +1,89 @@
+// File: test/fake.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const MockDataFaker = require('../lib/fake');
+
+describe('MockDataFaker', () => {
+  let faker;
+
+  beforeEach(() => {
+    faker = new MockDataFaker();
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('generate', () => {
+    it('should generate version 4 UUIDs', () => {
+      expect(faker.generate('uuid')).to.match(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    });
+
+    it('should generate names, emails and phone numbers', () => {
+      expect(faker.generate('name')).to.match(/^[A-Z][a-z]+ [A-Z][a-z]+$/);
+      expect(faker.generate('email')).to.match(/^[a-z]+\.[a-z]+\d+@[a-z.]+$/);
+      expect(faker.generate('phone')).to.match(/^\+1-\d{3}-555-01\d{2}$/);
+    });
+
+    it('should generate addresses', () => {
+      expect(faker.generate('address')).to.match(/^\d+ [A-Za-z]+ [A-Za-z]+, [A-Za-z]+, [A-Z]{2} \d{5}$/);
+      expect(faker.generate('zipCode')).to.match(/^\d{5}$/);
+    });
+
+    it('should generate lorem text with the requested length', () => {
+      expect(faker.generate('words:4').split(' ')).to.have.length(4);
+      expect(faker.generate('sentence:5')).to.match(/^[A-Z]\w*( \w+){4}\.$/);
+      expect(faker.generate('paragraph:2').match(/\./g)).to.have.length(2);
+    });
+
+    it('should generate integers within a range', () => {
+      for (let i = 0; i < 50; i++) {
+        const value = faker.generate('number:-5-5');
+        expect(value).to.be.a('number');
+        expect(Number.isInteger(value)).to.be.true;
+        expect(value).to.be.within(-5, 5);
+      }
+    });
+
+    it('should include both bounds of a range', () => {
+      sinon.stub(faker, 'random').returns(0.9999);
+      expect(faker.generate('number:1-10')).to.equal(10);
+      faker.random.returns(0);
+      expect(faker.generate('number:1-10')).to.equal(1);
+    });
+
+    it('should generate floats with the requested precision', () => {
+      sinon.stub(faker, 'random').returns(0.123456);
+      expect(faker.generate('float:0-10:3')).to.equal(1.235);
+    });
+
+    it('should generate booleans', () => {
+      sinon.stub(faker, 'random').returns(0.2);
+      expect(faker.generate('boolean')).to.equal(true);
+    });
+
+    it('should generate dates between two bounds', () => {
+      const value = faker.generate('date:2024-01-01:2024-01-31');
+      expect(value).to.match(/^2024-01-\d{2}T/);
+    });
+
+    it('should measure open date ranges from the reference time', () => {
+      const fixed = new MockDataFaker(() => 0.5, { now: Date.UTC(2024, 0, 1) });
+
+      expect(fixed.generate('date')).to.match(/^2023-07-/);
+      expect(fixed.generate('date')).to.equal(fixed.generate('date'));
+    });
+
+    it('should pick one of the listed values', () => {
+      for (let i = 0; i < 20; i++) {
+        expect(['red', 'green', 'blue']).to.include(faker.generate('pick:red,green,blue'));
+      }
+    });
+
+    it('should return null for unknown generators and invalid arguments', () => {
+      expect(faker.generate('unknown')).to.be.null;
+      expect(faker.generate('number:abc')).to.be.null;
+      expect(faker.generate('date:yesterday')).to.be.null;
+    });
+  });
+});
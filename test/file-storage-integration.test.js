@@ -84,8 +84,8 @@ describe('ServerlessApiMockery Integration with File Storage', function() {
       
       expect(response.body).to.have.property('success', true);
       expect(response.body).to.have.property('message', 'User created successfully');
-      expect(response.body).to.have.property('username', '"testuser"');
-      expect(response.body).to.have.property('email', '"test@example.com"');
+      expect(response.body).to.have.property('username', 'testuser');
+      expect(response.body).to.have.property('email', 'test@example.com');
     });
     
     it('should update a user', async () => {
@@ -108,9 +108,9 @@ describe('ServerlessApiMockery Integration with File Storage', function() {
       expect(response.body).to.have.property('message', 'User updated successfully');
       expect(response.body).to.have.property('id', '123');
       expect(response.body).to.have.property('updatedFields').that.is.an('object');
-      expect(response.body.updatedFields).to.have.property('username', '"updateduser"');
-      expect(response.body.updatedFields).to.have.property('email', '"updated@example.com"');
-      expect(response.body.updatedFields).to.have.property('profile', '{"firstName":"Updated","lastName":"User"}');
+      expect(response.body.updatedFields).to.have.property('username', 'updateduser');
+      expect(response.body.updatedFields).to.have.property('email', 'updated@example.com');
+      expect(response.body.updatedFields.profile).to.deep.equal({ firstName: 'Updated', lastName: 'User' });
     });
     
     it('should delete a user', async () => {
@@ -156,7 +156,7 @@ describe('ServerlessApiMockery Integration with File Storage', function() {
       const currentTimestamp = Math.floor(Date.now() / 1000);
       
       expect(response.body).to.have.property('token').that.is.a('string');
-      expect(response.body).to.have.property('username', '"testuser"');
+      expect(response.body).to.have.property('username', 'testuser');
       // Use a more flexible assertion for timestamps
       expect(response.body).to.have.property('issuedAt').that.is.a('string');
       expect(parseInt(response.body.issuedAt)).to.be.closeTo(currentTimestamp, 1);
@@ -178,7 +178,7 @@ describe('ServerlessApiMockery Integration with File Storage', function() {
       const currentTimestamp = Math.floor(Date.now() / 1000);
       
       expect(response.body).to.have.property('token').that.is.a('string');
-      expect(response.body).to.have.property('refreshToken', '"old-token"');
+      expect(response.body).to.have.property('refreshToken', 'old-token');
       // Use a more flexible assertion for timestamps
       expect(response.body).to.have.property('issuedAt').that.is.a('string');
       expect(parseInt(response.body.issuedAt)).to.be.closeTo(currentTimestamp, 1);
@@ -244,7 +244,7 @@ describe('ServerlessApiMockery Integration with File Storage', function() {
       expect(response.body).to.have.property('timestamp').that.is.a('string');
       expect(parseInt(response.body.timestamp)).to.be.closeTo(currentTimestamp, 1);
       expect(response.body).to.have.property('customer').that.is.an('object');
-      expect(response.body.customer).to.have.property('name', '"John Doe"');
+      expect(response.body.customer).to.have.property('name', 'John Doe');
       expect(parseInt(response.body.estimatedDelivery)).to.be.closeTo(currentTimestamp + 432000, 1);
     });
     
@@ -51,6 +51,20 @@ describe('ServerlessApiMockery', () => {
       expect(instance.storage).to.equal(customStorage);
       expect(instance.cache.ttl).to.equal(30000);
     });
+
+    it('should pass matching options to the router', () => {
+      const instance = new ServerlessApiMockery({
+        caseSensitive: false,
+        strictTrailingSlash: true,
+        decodeParams: false
+      });
+
+      expect(instance.router.options).to.deep.equal({
+        caseSensitive: false,
+        strictTrailingSlash: true,
+        decodeParams: false
+      });
+    });
   });
   
   describe('getApiData', () => {
@@ -124,6 +138,18 @@ describe('ServerlessApiMockery', () => {
         expect(error.message).to.equal('Save error');
       }
     });
+
+    it('should replace a stored configuration that cannot be read', async () => {
+      mockStorage.getData.rejects(new SyntaxError('Unexpected token n in JSON'));
+      sinon.stub(console, 'error');
+      const saveData = sinon.stub(mockStorage, 'saveData').resolves(true);
+
+      const testData = { routes: [] };
+      const result = await mockery.saveApiData(testData);
+
+      expect(result).to.be.true;
+      expect(saveData.calledOnceWith(testData)).to.be.true;
+    });
   });
   
   describe('handleRequest', () => {
@@ -140,6 +166,42 @@ describe('ServerlessApiMockery', () => {
       expect(response.statusCode).to.equal(404);
       expect(response.body).to.have.property('error');
     });
+
+    it('should list near matches in the 404 body', async () => {
+      const response = await mockery.handleRequest({
+        method: 'GET',
+        path: '/tset/123',
+        query: {},
+        body: {}
+      });
+
+      expect(response.statusCode).to.equal(404);
+      expect(response.body.nearMatches).to.deep.equal([
+        {
+          id: 'testRoute',
+          method: 'GET',
+          path: '/test/:id',
+          reasons: ['segment 1 is "tset", expected "test"']
+        }
+      ]);
+    });
+
+    it('should keep the 404 body terse when diagnostics are disabled', async () => {
+      mockery = new ServerlessApiMockery({ storage: mockStorage, notFoundDiagnostics: false });
+
+      const response = await mockery.handleRequest({
+        method: 'GET',
+        path: '/tset/123',
+        query: {},
+        body: {}
+      });
+
+      expect(response.body).to.deep.equal({
+        error: 'Mock API endpoint not found',
+        requestedPath: '/tset/123',
+        requestedMethod: 'get'
+      });
+    });
     
     it('should process matching routes correctly', async () => {
       const req = {
@@ -154,6 +216,487 @@ describe('ServerlessApiMockery', () => {
       expect(response.statusCode).to.equal(200);
       expect(response.body).to.deep.equal({ id: '123', message: 'Test response' });
     });
+
+    it('should reuse the compiled routes while the data is cached', async () => {
+      const compile = sinon.spy(mockery.router, 'compileRoutes');
+      const req = { method: 'GET', path: '/test/1', query: {}, body: {} };
+
+      await mockery.handleRequest(req);
+      await mockery.handleRequest(req);
+
+      expect(compile.calledOnce).to.be.true;
+    });
+
+    it('should pick up routes added in place and saved with saveApiData', async () => {
+      const data = await mockery.getApiData();
+      await mockery.handleRequest({ method: 'GET', path: '/test/1', query: {}, body: {} });
+
+      data.routes.push({ method: 'get', path: '/b', response: { ok: true } });
+      await mockery.saveApiData(data);
+      const response = await mockery.handleRequest({ method: 'GET', path: '/b', query: {}, body: {} });
+
+      expect(response.statusCode).to.equal(200);
+      expect(response.body).to.deep.equal({ ok: true });
+    });
+
+    it('should respond with the variant matching the request', async () => {
+      mockStorage.getData.resolves({
+        routes: [
+          {
+            method: 'post',
+            path: '/auth/login',
+            headers: { 'Content-Type': 'application/json' },
+            variants: [
+              {
+                when: { body: { password: { exists: false } } },
+                statusCode: 401,
+                headers: { 'WWW-Authenticate': 'Bearer' },
+                response: { error: 'Missing password' }
+              },
+              {
+                when: { body: { username: 'locked' } },
+                statusCode: 403,
+                response: { error: 'Locked' }
+              },
+              { response: { token: 'abc', user: '{params.none}' } }
+            ]
+          }
+        ]
+      });
+
+      const login = body => mockery.handleRequest({
+        method: 'POST',
+        path: '/auth/login',
+        query: {},
+        headers: {},
+        body
+      });
+
+      const unauthorized = await login({ username: 'jane' });
+      expect(unauthorized.statusCode).to.equal(401);
+      expect(unauthorized.headers).to.deep.equal({
+        'Content-Type': 'application/json',
+        'WWW-Authenticate': 'Bearer'
+      });
+      expect(unauthorized.body).to.deep.equal({ error: 'Missing password' });
+
+      const locked = await login({ username: 'locked', password: 'x' });
+      expect(locked.statusCode).to.equal(403);
+
+      const success = await login({ username: 'jane', password: 'x' });
+      expect(success.statusCode).to.equal(200);
+      expect(success.body).to.have.property('token', 'abc');
+    });
+
+    it('should use the route response when no variant matches', async () => {
+      mockStorage.getData.resolves({
+        routes: [
+          {
+            method: 'get',
+            path: '/users/:id',
+            statusCode: 200,
+            response: { id: '{params.id}' },
+            variants: [
+              { when: { params: { id: '404' } }, statusCode: 404, response: { error: 'Not found' } }
+            ]
+          }
+        ]
+      });
+
+      const found = await mockery.handleRequest({ method: 'GET', path: '/users/1', query: {}, body: {} });
+      const missing = await mockery.handleRequest({ method: 'GET', path: '/users/404', query: {}, body: {} });
+
+      expect(found.statusCode).to.equal(200);
+      expect(found.body).to.deep.equal({ id: '1' });
+      expect(missing.statusCode).to.equal(404);
+      expect(missing.body).to.deep.equal({ error: 'Not found' });
+    });
+
+    it('should answer 500 when no variant matches and there is no route response', async () => {
+      mockStorage.getData.resolves({
+        routes: [
+          {
+            method: 'post',
+            path: '/auth/login',
+            variants: [
+              { when: { body: { username: 'ada' } }, response: { token: 'abc' } }
+            ]
+          }
+        ]
+      });
+
+      const response = await mockery.handleRequest({ method: 'POST', path: '/auth/login', query: {}, body: { username: 'bob' } });
+
+      expect(response.statusCode).to.equal(500);
+      expect(response.body.error).to.equal('No variant of POST /auth/login matches the request, and the route has no default response');
+    });
+
+    it('should route by the request host', async () => {
+      mockStorage.getData.resolves({
+        routes: [
+          { method: 'get', path: '/health', host: 'payments.mock.local', response: { api: 'payments' } },
+          { method: 'get', path: '/health', host: 'crm.mock.local', response: { api: 'crm' } }
+        ]
+      });
+
+      const payments = await mockery.handleRequest({
+        method: 'GET',
+        path: '/health',
+        hostname: 'payments.mock.local',
+        query: {},
+        body: {}
+      });
+      const crm = await mockery.handleRequest({
+        method: 'GET',
+        path: '/health',
+        headers: { host: 'crm.mock.local:3000' },
+        query: {},
+        body: {}
+      });
+
+      expect(payments.body).to.deep.equal({ api: 'payments' });
+      expect(crm.body).to.deep.equal({ api: 'crm' });
+    });
+
+    it('should prefer explicit HEAD and OPTIONS routes', async () => {
+      mockStorage.getData.resolves({
+        routes: [
+          { method: 'get', path: '/items', response: { items: [] } },
+          { method: 'head', path: '/items', statusCode: 200, headers: { 'X-Total-Count': '0' }, response: {} },
+          { method: 'options', path: '/items', statusCode: 200, response: { methods: 'custom' } }
+        ]
+      });
+
+      const head = await mockery.handleRequest({ method: 'HEAD', path: '/items', query: {}, body: {} });
+      const options = await mockery.handleRequest({ method: 'OPTIONS', path: '/items', query: {}, body: {} });
+
+      expect(head.headers).to.deep.equal({ 'X-Total-Count': '0' });
+      expect(options.statusCode).to.equal(200);
+      expect(options.body).to.deep.equal({ methods: 'custom' });
+    });
+
+    it('should derive HEAD responses from the GET route', async () => {
+      const response = await mockery.handleRequest({ method: 'HEAD', path: '/test/1', query: {}, body: {} });
+
+      expect(response.statusCode).to.equal(200);
+      expect(response.headers).to.deep.equal({ 'Content-Type': 'application/json' });
+      expect(response.body).to.be.undefined;
+    });
+
+    it('should select routes by the configured environment and tags', async () => {
+      mockStorage.getData.resolves({
+        routes: [
+          { method: 'get', path: '/users', tags: ['broken'], statusCode: 500, response: { error: 'Boom' } },
+          { method: 'get', path: '/users', tags: ['happy-path'], response: { users: [] } },
+          { method: 'get', path: '/users', environments: ['qa'], priority: 1, statusCode: 503, response: {} }
+        ]
+      });
+      mockery = new ServerlessApiMockery({ storage: mockStorage, environment: 'dev', tags: 'happy-path' });
+      const req = { method: 'GET', path: '/users', query: {}, body: {} };
+
+      const happy = await mockery.handleRequest(req);
+      const broken = await mockery.handleRequest({ ...req, headers: { 'X-Mock-Tags': 'broken' } });
+      const qa = await mockery.handleRequest({ ...req, headers: { 'x-mock-environment': 'qa' } });
+
+      expect(happy.statusCode).to.equal(200);
+      expect(broken.statusCode).to.equal(500);
+      expect(qa.statusCode).to.equal(503);
+    });
+
+    it('should expose catch-all segments to the response template', async () => {
+      mockStorage.getData.resolves({
+        routes: [
+          {
+            method: 'get',
+            path: '/files/*',
+            response: { file: '{params.rest}' }
+          }
+        ]
+      });
+
+      const response = await mockery.handleRequest({
+        method: 'GET',
+        path: '/files/docs/readme.md',
+        query: {},
+        body: {}
+      });
+
+      expect(response.statusCode).to.equal(200);
+      expect(response.body).to.deep.equal({ file: 'docs/readme.md' });
+    });
+
+    it('should expose headers, cookies and request metadata to the response template', async () => {
+      mockStorage.getData.resolves({
+        routes: [
+          {
+            method: 'post',
+            path: '/orders',
+            headers: { 'X-Request-Id': '{request.id}' },
+            response: {
+              tenant: '{headers.x-tenant-id}',
+              session: '{cookies.session}',
+              request: '{request}'
+            }
+          }
+        ]
+      });
+
+      const response = await mockery.handleRequest({
+        method: 'POST',
+        path: '/orders',
+        ip: '127.0.0.1',
+        query: {},
+        body: {},
+        headers: {
+          'x-tenant-id': 'acme',
+          'x-request-id': 'req-42',
+          cookie: 'theme=dark; session=abc%20123'
+        }
+      });
+
+      expect(response.headers).to.deep.equal({ 'X-Request-Id': 'req-42' });
+      expect(response.body).to.deep.equal({
+        tenant: 'acme',
+        session: 'abc 123',
+        request: { method: 'POST', path: '/orders', ip: '127.0.0.1', id: 'req-42' }
+      });
+    });
+
+    it('should expose mockData to the response template', async () => {
+      mockStorage.getData.resolves({
+        routes: [
+          {
+            method: 'get',
+            path: '/users/:id',
+            response: { $lookup: 'data.users', where: { id: '{params.id}' } }
+          }
+        ],
+        mockData: {
+          users: [{ id: 1, name: 'Alice' }, { id: 2, name: 'Bob' }]
+        }
+      });
+
+      const response = await mockery.handleRequest({ method: 'GET', path: '/users/2', query: {}, body: {} });
+
+      expect(response.body).to.deep.equal({ id: 2, name: 'Bob' });
+    });
+
+    it('should page through mockData collections', async () => {
+      mockStorage.getData.resolves({
+        routes: [
+          { method: 'get', path: '/users', collection: 'users' },
+          {
+            method: 'get',
+            path: '/admins',
+            collection: { source: 'users', defaultLimit: 1 },
+            response: { items: '{collection.data}', total: '{collection.meta.total}' }
+          }
+        ],
+        mockData: {
+          users: [
+            { id: 1, role: 'admin' },
+            { id: 2, role: 'user' },
+            { id: 3, role: 'admin' }
+          ]
+        }
+      });
+      const req = { method: 'GET', path: '/users', body: {} };
+
+      const users = await mockery.handleRequest({ ...req, query: { limit: '1', page: '2', sort: 'id:desc' } });
+      const admins = await mockery.handleRequest({ ...req, path: '/admins', query: { role: 'admin' } });
+      const invalid = await mockery.handleRequest({ ...req, query: { cursor: 'bad' } });
+
+      expect(users.body.data).to.deep.equal([{ id: 2, role: 'user' }]);
+      expect(users.body.meta).to.include({ total: 3, page: 2, totalPages: 3 });
+      expect(users.headers['X-Total-Count']).to.equal('3');
+      expect(users.headers.Link).to.include('</users?limit=1&sort=id%3Adesc&page=3>; rel="next"');
+      expect(admins.body).to.deep.equal({ items: [{ id: 1, role: 'admin' }], total: 2 });
+      expect(invalid.statusCode).to.equal(400);
+    });
+
+    it('should generate a request id when none is sent', async () => {
+      mockStorage.getData.resolves({
+        routes: [{ method: 'get', path: '/ping', response: { id: '{request.id}' } }]
+      });
+
+      const response = await mockery.handleRequest({ method: 'GET', path: '/ping', query: {}, body: {} });
+
+      expect(response.body.id).to.match(/^[0-9a-f]{8}-[0-9a-f]{4}-4/);
+    });
+
+    it('should generate the same fake data for the same route seed', async () => {
+      mockStorage.getData.resolves({
+        routes: [
+          {
+            method: 'get',
+            path: '/users/:id',
+            seed: '{params.id}',
+            response: { id: '{params.id}', name: '{fake:name}', email: '{fake:email}' }
+          }
+        ]
+      });
+      const request = id => mockery.handleRequest({ method: 'GET', path: `/users/${id}`, query: {}, body: {} });
+
+      const first = await request(42);
+      const second = await request(42);
+      const other = await request(43);
+
+      expect(first.body).to.deep.equal(second.body);
+      expect(other.body.email).to.not.equal(first.body.email);
+    });
+
+    it('should issue unique sequence values and persist them', async () => {
+      const data = {
+        routes: [
+          {
+            method: 'post',
+            path: '/orders',
+            statusCode: 201,
+            headers: { Location: '/orders/{seq:orders:current}' },
+            response: { id: '{seq:orders}' }
+          }
+        ],
+        sequences: { orders: { start: 1001 } }
+      };
+      mockStorage.getData.resolves(data);
+      const saveData = sinon.spy(mockStorage, 'saveData');
+      const request = () => mockery.handleRequest({ method: 'POST', path: '/orders', query: {}, body: {} });
+
+      const responses = await Promise.all([request(), request(), request()]);
+
+      expect(responses.map(response => response.body.id)).to.deep.equal([1001, 1002, 1003]);
+      expect(responses[2].headers.Location).to.equal('/orders/1003');
+      expect(saveData.called).to.be.true;
+      expect(saveData.lastCall.args[0].state).to.deep.equal({ sequences: { orders: 1003 } });
+    });
+
+    it('should save sequences without overwriting a newer configuration', async () => {
+      const storage = new StorageAdapter.Memory();
+      const orders = { method: 'post', path: '/orders', response: { id: '{seq:orders}' } };
+      await storage.saveData({ routes: [orders] });
+      const first = new ServerlessApiMockery({ storage });
+      const second = new ServerlessApiMockery({ storage });
+      const request = (instance, method, path) => instance.handleRequest({ method, path, query: {}, body: {} });
+
+      await request(second, 'POST', '/orders');
+      await first.saveApiData({ routes: [orders, { method: 'get', path: '/new', response: { ok: true } }] });
+      const order = await request(second, 'POST', '/orders');
+      const stored = await storage.getData();
+
+      expect(order.body.id).to.equal(2);
+      expect(stored.routes.map(route => route.path)).to.deep.equal(['/orders', '/new']);
+      expect(stored.state).to.deep.equal({ sequences: { orders: 2 } });
+      expect((await request(second, 'GET', '/new')).statusCode).to.equal(200);
+    });
+
+    it('should keep sequence values when a saved configuration has no state', async () => {
+      const storage = new StorageAdapter.Memory();
+      const orders = { method: 'post', path: '/orders', response: { id: '{seq:orders}' } };
+      await storage.saveData({ routes: [orders], state: { sequences: { orders: 41 } } });
+      const instance = new ServerlessApiMockery({ storage });
+
+      await instance.saveApiData({ routes: [orders] });
+      const other = new ServerlessApiMockery({ storage });
+      const order = await other.handleRequest({ method: 'POST', path: '/orders', query: {}, body: {} });
+
+      expect((await storage.getData()).state).to.deep.equal({ sequences: { orders: 42 } });
+      expect(order.body.id).to.equal(42);
+    });
+
+    it('should keep the compiled routes when saving sequences', async () => {
+      // A file-backed adapter returns a new configuration object on every read
+      const files = {};
+      const storage = new StorageAdapter.FileSystem({ filePath: 'mock-api.json' });
+      storage.fs = {
+        readFile: async filePath => files[filePath],
+        writeFile: async (filePath, content) => { files[filePath] = content; }
+      };
+      await storage.saveData({ routes: [{ method: 'post', path: '/orders', response: { id: '{seq:orders}' } }] });
+      const instance = new ServerlessApiMockery({ storage });
+      const compile = sinon.spy(instance.router, 'compileRoutes');
+      const request = () => instance.handleRequest({ method: 'POST', path: '/orders', query: {}, body: {} });
+
+      const ids = [];
+      for (let i = 0; i < 3; i++) {
+        ids.push((await request()).body.id);
+      }
+
+      expect(ids).to.deep.equal([1, 2, 3]);
+      expect(compile.callCount).to.equal(1);
+      expect(JSON.parse(files['mock-api.json']).state).to.deep.equal({ sequences: { orders: 3 } });
+      expect((await instance.getApiData()).state).to.deep.equal({ sequences: { orders: 3 } });
+    });
+
+    it('should not issue sequence values for HEAD requests', async () => {
+      mockStorage.getData.resolves({
+        routes: [{ method: 'get', path: '/tickets', headers: { 'X-Ticket': '{seq:tickets:current}' }, response: { id: '{seq:tickets}' } }]
+      });
+      const saveData = sinon.spy(mockStorage, 'saveData');
+      const request = method => mockery.handleRequest({ method, path: '/tickets', query: {}, body: {} });
+
+      const first = await request('GET');
+      const savesBeforeHead = saveData.callCount;
+      const head = await request('HEAD');
+      const savesAfterHead = saveData.callCount;
+      const second = await request('GET');
+
+      expect(head.headers['X-Ticket']).to.equal(1);
+      expect(head.body).to.be.undefined;
+      expect(savesAfterHead).to.equal(savesBeforeHead);
+      expect([first.body.id, second.body.id]).to.deep.equal([1, 2]);
+    });
+
+    it('should continue sequences from the stored state', async () => {
+      mockStorage.getData.resolves({
+        routes: [{ method: 'post', path: '/orders', response: { id: '{seq:orders}', invoice: '{seq:invoices}' } }],
+        sequences: { orders: { start: 1001, step: 10 } },
+        state: { sequences: { orders: 1041 } }
+      });
+
+      const response = await mockery.handleRequest({ method: 'POST', path: '/orders', query: {}, body: {} });
+
+      expect(response.body).to.deep.equal({ id: 1051, invoice: 1 });
+    });
+
+    it('should expand template references', async () => {
+      mockStorage.getData.resolves({
+        routes: [
+          {
+            method: 'get',
+            path: '/users/:id',
+            response: { $ref: '#/templates/user', $params: { id: '{params.id}' }, active: true }
+          },
+          { method: 'get', path: '/broken', response: { user: { $ref: '#/templates/missing' } } }
+        ],
+        templates: { user: { id: '{id}', name: 'User {id}' } }
+      });
+      const request = path => mockery.handleRequest({ method: 'GET', path, query: {}, body: {} });
+
+      const user = await request('/users/5');
+      const broken = await request('/broken');
+
+      expect(user.body).to.deep.equal({ id: '5', name: 'User 5', active: true });
+      expect(broken.statusCode).to.equal(500);
+      expect(broken.body).to.deep.equal({ error: 'Unresolved $ref "#/templates/missing": no such template' });
+    });
+
+    it('should reset sequences', async () => {
+      mockStorage.getData.resolves({
+        routes: [{ method: 'post', path: '/orders', response: { id: '{seq:orders}', invoice: '{seq:invoices}' } }]
+      });
+      const request = () => mockery.handleRequest({ method: 'POST', path: '/orders', query: {}, body: {} });
+
+      await request();
+      await request();
+      const reset = await mockery.resetSequences('orders');
+      const afterReset = await request();
+      await mockery.resetSequences();
+      const afterResetAll = await request();
+
+      expect(reset).to.deep.equal(['orders']);
+      expect(afterReset.body).to.deep.equal({ id: 1, invoice: 3 });
+      expect(afterResetAll.body).to.deep.equal({ id: 1, invoice: 1 });
+    });
   });
   
   describe('middleware', () => {
@@ -167,6 +710,15 @@ describe('ServerlessApiMockery', () => {
       
       expect(next.calledOnce).to.be.true;
     });
+
+    it('should skip middleware for nested management endpoints', () => {
+      const middleware = mockery.middleware();
+      const next = sinon.spy();
+
+      middleware({ path: '/mock-data/sequences/orders' }, {}, next);
+
+      expect(next.calledOnce).to.be.true;
+    });
     
     it('should handle requests and send responses', async () => {
       const middleware = mockery.middleware();
@@ -250,16 +802,18 @@ describe('ServerlessApiMockery', () => {
   });
   
   describe('setupManagementRoutes', () => {
-    it('should set up GET and POST routes', () => {
+    it('should set up GET, POST and DELETE routes', () => {
       const app = {
         get: sinon.spy(),
-        post: sinon.spy()
+        post: sinon.spy(),
+        delete: sinon.spy()
       };
       
       mockery.setupManagementRoutes(app);
       
       expect(app.get.calledOnceWith('/mock-data')).to.be.true;
       expect(app.post.calledOnceWith('/mock-data')).to.be.true;
+      expect(app.delete.calledOnceWith('/mock-data/sequences/:name?')).to.be.true;
     });
   });
 });
\ No newline at end of file
@@ -141,7 +141,7 @@ describe('ServerlessApiMockery Integration', () => {
       expect(response.status).to.equal(201);
       expect(response.body).to.deep.equal({
         success: true,
-        username: '"johndoe"'
+        username: 'johndoe'
       });
     });
     
@@ -231,6 +231,64 @@ describe('ServerlessApiMockery Integration', () => {
     });
   });
   
+  describe('Virtual Hosts', () => {
+    it('should match host patterns that include a port', async () => {
+      mockery.getApiData.resolves({
+        routes: [
+          { method: 'GET', path: '/status', host: 'api.local:8080', response: { port: 8080 } },
+          { method: 'GET', path: '/status', host: 'api.local', response: { port: 'any' } }
+        ]
+      });
+      
+      const withPort = await request(app).get('/status').set('Host', 'api.local:8080');
+      const otherPort = await request(app).get('/status').set('Host', 'api.local:9090');
+      
+      expect(withPort.status).to.equal(200);
+      expect(withPort.body).to.deep.equal({ port: 8080 });
+      expect(otherPort.body).to.deep.equal({ port: 'any' });
+    });
+  });
+  
+  describe('Method Handling', () => {
+    it('should return 405 with an Allow header when only the method differs', async () => {
+      const response = await request(app)
+        .delete('/users/123');
+      
+      expect(response.status).to.equal(405);
+      expect(response.headers.allow).to.equal('GET, HEAD, OPTIONS');
+      expect(response.body).to.deep.equal({
+        error: 'Method not allowed',
+        requestedPath: '/users/123',
+        requestedMethod: 'delete',
+        allowedMethods: ['GET', 'HEAD', 'OPTIONS']
+      });
+    });
+    
+    it('should answer HEAD requests from the GET route without a body', async () => {
+      const response = await request(app)
+        .head('/users/123');
+      
+      expect(response.status).to.equal(200);
+      expect(response.headers['content-type']).to.match(/application\/json/);
+      expect(response.text).to.be.undefined;
+    });
+    
+    it('should answer OPTIONS requests with the allowed methods', async () => {
+      const response = await request(app)
+        .options('/users');
+      
+      expect(response.status).to.equal(204);
+      expect(response.headers.allow).to.equal('OPTIONS, POST');
+    });
+    
+    it('should still return 404 when no route matches the path', async () => {
+      const response = await request(app)
+        .options('/nonexistent');
+      
+      expect(response.status).to.equal(404);
+    });
+  });
+  
   describe('Management Routes', () => {
     it('should return mock API data on GET /mock-data', async () => {
       const response = await request(app)
@@ -263,6 +321,49 @@ describe('ServerlessApiMockery Integration', () => {
       expect(mockery.saveApiData.calledOnceWith(newData)).to.be.true;
     });
     
+    it('should reset sequences on DELETE /mock-data/sequences', async () => {
+      sinon.stub(mockery, 'resetSequences').callsFake(async name => (name ? [name] : ['orders', 'invoices']));
+      
+      const one = await request(app).delete('/mock-data/sequences/orders');
+      const all = await request(app).delete('/mock-data/sequences');
+      
+      expect(one.status).to.equal(200);
+      expect(one.body.sequences).to.deep.equal(['orders']);
+      expect(all.body.sequences).to.deep.equal(['orders', 'invoices']);
+      expect(mockery.resetSequences.firstCall.args[0]).to.equal('orders');
+      expect(mockery.resetSequences.secondCall.args[0]).to.be.undefined;
+    });
+    
+    it('should reject invalid mock data with a 400 and error pointers', async () => {
+      sinon.stub(mockery, 'saveApiData').resolves(true);
+      
+      const response = await request(app)
+        .post('/mock-data')
+        .send({ routes: [{ methd: 'GET', path: '/new', statusCode: 'OK' }] });
+      
+      expect(response.status).to.equal(400);
+      expect(response.body.error).to.equal('Invalid mock data');
+      expect(response.body.errors.map(error => error.pointer)).to.deep.equal([
+        '/routes/0/method',
+        '/routes/0/methd',
+        '/routes/0/statusCode'
+      ]);
+      expect(mockery.saveApiData.called).to.be.false;
+    });
+    
+    it('should skip validation when disabled', async () => {
+      const lenient = new ServerlessApiMockery({ validate: false });
+      const lenientApp = express();
+      lenientApp.use(express.json());
+      lenient.setupManagementRoutes(lenientApp);
+      
+      const response = await request(lenientApp)
+        .post('/mock-data')
+        .send({ routes: [{ custom: true }] });
+      
+      expect(response.status).to.equal(200);
+    });
+    
     it('should handle errors when updating mock data', async () => {
       sinon.stub(mockery, 'saveApiData').rejects(new Error('Save error'));
       
@@ -274,4 +375,54 @@ describe('ServerlessApiMockery Integration', () => {
       expect(response.body).to.have.property('error');
     });
   });
+
+  describe('Route Groups', () => {
+    let groupedApp;
+    let groupedMockery;
+    
+    const groupedData = {
+      routes: [],
+      groups: [
+        {
+          id: 'v2',
+          basePath: '/api/v2',
+          headers: { 'X-Api-Version': '2' },
+          statusCode: 200,
+          routes: [
+            { id: 'listOrders', method: 'GET', path: '/orders', response: { orders: [] } },
+            { id: 'createOrder', method: 'POST', path: '/orders', statusCode: 201, response: { id: 'o1' } }
+          ]
+        }
+      ],
+      mockData: {}
+    };
+    
+    beforeEach(() => {
+      groupedApp = express();
+      groupedApp.use(express.json());
+      groupedMockery = new ServerlessApiMockery();
+      groupedMockery.setupManagementRoutes(groupedApp);
+      groupedApp.use(groupedMockery.middleware());
+    });
+    
+    it('should serve grouped routes under the group base path', async () => {
+      await request(groupedApp).post('/mock-data').send(groupedData);
+      
+      const list = await request(groupedApp).get('/api/v2/orders');
+      const create = await request(groupedApp).post('/api/v2/orders').send({});
+      
+      expect(list.status).to.equal(200);
+      expect(list.headers['x-api-version']).to.equal('2');
+      expect(list.body).to.deep.equal({ orders: [] });
+      expect(create.status).to.equal(201);
+    });
+    
+    it('should round-trip groups through the management API', async () => {
+      await request(groupedApp).post('/mock-data').send(groupedData);
+      
+      const response = await request(groupedApp).get('/mock-data');
+      
+      expect(response.body).to.deep.equal(groupedData);
+    });
+  });
 });
@@ -0,0 +1,84 @@
+// File: test/jsonpath.test.js
+const { expect } = require('chai');
+const MockApiJsonPath = require('../lib/jsonpath');
+
+describe('MockApiJsonPath', () => {
+  let jsonPath;
+  const order = {
+    id: 'o-1',
+    customer: { name: 'Ada', 'x-tier': 'gold' },
+    items: [
+      { sku: 'A1', qty: 1, price: 9.5, tags: ['new'] },
+      { sku: 'B2', qty: 3, price: 4 },
+      { sku: 'C3', qty: 2, price: 12, discount: false },
+      { sku: 'D4', qty: 5, price: 1, discount: 0.1 }
+    ],
+    limit: 2
+  };
+
+  beforeEach(() => {
+    jsonPath = new MockApiJsonPath();
+  });
+
+  describe('evaluate', () => {
+    it('should return single values for definite paths', () => {
+      expect(jsonPath.evaluate(order, '$')).to.equal(order);
+      expect(jsonPath.evaluate(order, '$.id')).to.equal('o-1');
+      expect(jsonPath.evaluate(order, '$.items[0].sku')).to.equal('A1');
+      expect(jsonPath.evaluate(order, "$['customer']['x-tier']")).to.equal('gold');
+      expect(jsonPath.evaluate(order, '$.customer.missing')).to.be.undefined;
+    });
+
+    it('should count negative indexes from the end', () => {
+      expect(jsonPath.evaluate(order, '$.items[-1].sku')).to.equal('D4');
+      expect(jsonPath.evaluate(order, '$.items[-9]')).to.be.undefined;
+    });
+
+    it('should return arrays for wildcards, unions and slices', () => {
+      expect(jsonPath.evaluate(order, '$.items[*].sku')).to.deep.equal(['A1', 'B2', 'C3', 'D4']);
+      expect(jsonPath.evaluate(order, '$.items.*.qty')).to.deep.equal([1, 3, 2, 5]);
+      expect(jsonPath.evaluate(order, '$.items[0,2].sku')).to.deep.equal(['A1', 'C3']);
+      expect(jsonPath.evaluate(order, "$.customer['name','x-tier']")).to.deep.equal(['Ada', 'gold']);
+      expect(jsonPath.evaluate(order, '$.items[1:3].sku')).to.deep.equal(['B2', 'C3']);
+      expect(jsonPath.evaluate(order, '$.items[-2:].sku')).to.deep.equal(['C3', 'D4']);
+      expect(jsonPath.evaluate(order, '$.items[::2].sku')).to.deep.equal(['A1', 'C3']);
+      expect(jsonPath.evaluate(order, '$.items[::-1].sku')).to.deep.equal(['D4', 'C3', 'B2', 'A1']);
+    });
+
+    it('should find names at any depth with ..', () => {
+      expect(jsonPath.evaluate(order, '$..sku')).to.deep.equal(['A1', 'B2', 'C3', 'D4']);
+      expect(jsonPath.evaluate(order, '$..tags[0]')).to.deep.equal(['new']);
+    });
+
+    it('should filter with comparisons', () => {
+      expect(jsonPath.evaluate(order, '$.items[?(@.qty>1)].sku')).to.deep.equal(['B2', 'C3', 'D4']);
+      expect(jsonPath.evaluate(order, "$.items[?(@.sku == 'B2')].price")).to.deep.equal([4]);
+      expect(jsonPath.evaluate(order, '$.items[?(@.price <= 4 && @.qty != 5)].sku')).to.deep.equal(['B2']);
+      expect(jsonPath.evaluate(order, '$.items[?(@.qty == 1 || (@.qty > 4))].sku')).to.deep.equal(['A1', 'D4']);
+      expect(jsonPath.evaluate(order, '$.items[?(@.qty > $.limit)].sku')).to.deep.equal(['B2', 'D4']);
+      expect(jsonPath.evaluate(order, '$.items[?(@.sku =~ /^[ab]/i)].sku')).to.deep.equal(['A1', 'B2']);
+    });
+
+    it('should treat a path on its own as an existence test', () => {
+      expect(jsonPath.evaluate(order, '$.items[?(@.discount)].sku')).to.deep.equal(['D4']);
+      expect(jsonPath.evaluate(order, '$.items[?(!@.tags)].sku')).to.deep.equal(['B2', 'C3', 'D4']);
+    });
+
+    it('should not order values of different types', () => {
+      expect(jsonPath.evaluate(order, "$.items[?(@.qty > '1')]")).to.deep.equal([]);
+    });
+
+    it('should throw for invalid paths', () => {
+      expect(() => jsonPath.evaluate(order, 'items[0]')).to.throw('must start with $');
+      expect(() => jsonPath.evaluate(order, '$.items[0')).to.throw('Unclosed [');
+      expect(() => jsonPath.evaluate(order, '$.items[?(@.qty >)]')).to.throw('Unexpected end');
+    });
+  });
+
+  describe('query', () => {
+    it('should always return an array of matches', () => {
+      expect(jsonPath.query(order, '$.id')).to.deep.equal(['o-1']);
+      expect(jsonPath.query(order, '$.missing')).to.deep.equal([]);
+    });
+  });
+});
@@ -82,8 +82,8 @@ describe('MockApiResponseProcessor', () => {
       });
       
       expect(result).to.deep.equal({
-        username: '"johndoe"',
-        email: '"john@example.com"'
+        username: 'johndoe',
+        email: 'john@example.com'
       });
     });
     
@@ -107,8 +107,8 @@ describe('MockApiResponseProcessor', () => {
       });
       
       expect(result).to.deep.equal({
-        name: '"John Doe"',
-        address: '"New York"'
+        name: 'John Doe',
+        address: 'New York'
       });
     });
     
@@ -268,4 +268,678 @@ describe('MockApiResponseProcessor', () => {
       expect(result).to.equal('ID: 123, Query: search, Timestamp: 1609459210');
     });
   });
-});
\ No newline at end of file
+
+  describe('interpolateString with fake data', () => {
+    const params = { pathParams: {}, queryParams: {}, body: {} };
+
+    it('should return the typed value when the string is a single fake placeholder', () => {
+      const result = processor.processResponse({
+        age: '{fake:number:18-65}',
+        active: '{fake:boolean}',
+        email: '{fake:email}'
+      }, params);
+
+      expect(result.age).to.be.a('number').within(18, 65);
+      expect(result.active).to.be.a('boolean');
+      expect(result.email).to.be.a('string').and.include('@');
+    });
+
+    it('should interpolate fake values into mixed content', () => {
+      sinon.stub(processor.faker, 'random').returns(0);
+
+      const result = processor.interpolateString('Order {fake:number:100-200} for {fake:firstName}', params);
+
+      expect(result).to.equal('Order 100 for James');
+    });
+
+    it('should leave unknown fake generators unchanged', () => {
+      expect(processor.interpolateString('{fake:unknown}', params)).to.equal('{fake:unknown}');
+    });
+  });
+
+  describe('seeded fake data', () => {
+    const template = { id: '{fake:uuid}', name: '{fake:name}', age: '{fake:number:18-65}' };
+    const params = { pathParams: { id: '42' }, queryParams: {}, body: {} };
+
+    it('should repeat values for the same seed', () => {
+      const first = processor.processResponse(template, { ...params, seed: 7 });
+      const second = processor.processResponse(template, { ...params, seed: 7 });
+
+      expect(first).to.deep.equal(second);
+      expect(processor.processResponse(template, { ...params, seed: 8 })).to.not.deep.equal(first);
+    });
+
+    it('should repeat generated dates for the same seed as time passes', () => {
+      const clock = sinon.useFakeTimers({ now: Date.UTC(2025, 5, 1) });
+      try {
+        const first = processor.processResponse({ createdAt: '{fake:date}' }, { ...params, seed: 7 });
+        clock.tick(30 * 1000);
+        const second = processor.processResponse({ createdAt: '{fake:date}' }, { ...params, seed: 7 });
+
+        expect(second).to.deep.equal(first);
+      } finally {
+        clock.restore();
+      }
+    });
+
+    it('should derive the seed from request values', () => {
+      const first = processor.processResponse(template, { ...params, seed: '{params.id}' });
+      const same = processor.processResponse(template, { ...params, seed: '42' });
+      const other = processor.processResponse(template, {
+        ...params,
+        pathParams: { id: '43' },
+        seed: '{params.id}'
+      });
+
+      expect(same).to.deep.equal(first);
+      expect(other.id).to.not.equal(first.id);
+    });
+
+    it('should combine the global seed with route seeds', () => {
+      const seeded = new MockApiResponseProcessor({ seed: 'suite' });
+
+      const first = seeded.processResponse(template, params);
+      const second = new MockApiResponseProcessor({ seed: 'suite' }).processResponse(template, params);
+      const withRoute = seeded.processResponse(template, { ...params, seed: 1 });
+
+      expect(second).to.deep.equal(first);
+      expect(withRoute).to.not.deep.equal(first);
+      expect(seeded.resolveSeed(1, params)).to.equal('suite:1');
+    });
+  });
+
+  describe('directives', () => {
+    const params = {
+      pathParams: { id: '7' },
+      queryParams: { verbose: 'true', compact: 'false' },
+      body: {
+        items: [
+          { sku: 'A1', qty: 2, tags: ['new'] },
+          { sku: 'B2', qty: 0, tags: [] }
+        ]
+      }
+    };
+
+    it('should pick the then or else branch of $if', () => {
+      const result = processor.processResponse({
+        details: { $if: 'query.verbose', then: { id: '{params.id}' }, else: 'hidden' },
+        summary: { $if: 'query.compact', then: 'compact', else: 'full' }
+      }, params);
+
+      expect(result).to.deep.equal({ details: { id: '7' }, summary: 'full' });
+    });
+
+    it('should leave out fields and array items when $if is false without else', () => {
+      const result = processor.processResponse({
+        debug: { $if: 'query.debug', then: 'on' },
+        list: ['a', { $if: '!query.verbose', then: 'b' }, 'c']
+      }, params);
+
+      expect(result).to.deep.equal({ list: ['a', 'c'] });
+    });
+
+    it('should render the $each template for every element', () => {
+      const result = processor.processResponse({
+        lines: {
+          $each: 'body.items',
+          as: 'line',
+          template: { position: '{index}', sku: '{line.sku}', label: '{line.sku} x{line.qty}', tags: '{line.tags}' }
+        }
+      }, params);
+
+      expect(result.lines).to.deep.equal([
+        { position: 0, sku: 'A1', label: 'A1 x2', tags: ['new'] },
+        { position: 1, sku: 'B2', label: 'B2 x0', tags: [] }
+      ]);
+    });
+
+    it('should evaluate $if inside $each against the current element', () => {
+      const result = processor.processResponse({
+        $each: 'body.items',
+        template: {
+          sku: '{item.sku}',
+          status: { $if: 'item.qty', then: 'in stock', else: 'sold out' }
+        }
+      }, params);
+
+      expect(result).to.deep.equal([
+        { sku: 'A1', status: 'in stock' },
+        { sku: 'B2', status: 'sold out' }
+      ]);
+    });
+
+    it('should iterate object values and expose their keys', () => {
+      const result = processor.processResponse({
+        $each: 'body.prices',
+        as: 'price',
+        template: '{key}={price}'
+      }, { ...params, body: { prices: { small: 1, large: 3 } } });
+
+      expect(result).to.deep.equal(['small=1', 'large=3']);
+    });
+
+    it('should render an empty list when the $each source is missing', () => {
+      const result = processor.processResponse({ items: { $each: 'body.missing', template: {} } }, params);
+
+      expect(result).to.deep.equal({ items: [] });
+    });
+  });
+
+  describe('typed interpolation', () => {
+    const params = {
+      pathParams: { id: '42' },
+      queryParams: { active: 'false', price: '9.50', page: 'two' },
+      body: { items: [{ sku: 'A1' }], total: 19.5, paid: true, note: null }
+    };
+
+    it('should insert the raw value when the string is a single placeholder', () => {
+      const result = processor.processResponse({
+        items: '{body.items}',
+        total: '{body.total}',
+        paid: '{body.paid}',
+        note: '{body.note}',
+        id: '{params.id}'
+      }, params);
+
+      expect(result).to.deep.equal({ items: [{ sku: 'A1' }], total: 19.5, paid: true, note: null, id: '42' });
+    });
+
+    it('should convert values with casts', () => {
+      const result = processor.processResponse({
+        id: '{params.id:int}',
+        price: '{query.price:float}',
+        active: '{query.active:bool}',
+        total: '{body.total:string}',
+        label: 'Item {params.id:int}'
+      }, params);
+
+      expect(result).to.deep.equal({ id: 42, price: 9.5, active: false, total: '19.5', label: 'Item 42' });
+    });
+
+    it('should leave placeholders that cannot be cast unchanged', () => {
+      expect(processor.interpolateString('{query.page:int}', params)).to.equal('{query.page:int}');
+    });
+
+    it('should insert strings as they are and objects as JSON in longer strings', () => {
+      const result = processor.interpolateString('Items: {body.items}, paid: {body.paid}', params);
+
+      expect(result).to.equal('Items: [{"sku":"A1"}], paid: true');
+    });
+
+    it('should leave braces that are not placeholders unchanged', () => {
+      expect(processor.interpolateString('{"id": "{params.id}"} {} { x }', params)).to.equal('{"id": "42"} {} { x }');
+    });
+
+    it('should support custom placeholder namespaces', () => {
+      processor.registerPlaceholder('upper', (expression, { pathParams }) => (
+        expression === 'id' ? `ID-${pathParams.id}` : null
+      ));
+
+      expect(processor.interpolateString('{upper:id}', params)).to.equal('ID-42');
+      expect(processor.interpolateString('{upper:other}', params)).to.equal('{upper:other}');
+    });
+  });
+
+  describe('filters', () => {
+    const params = {
+      pathParams: { slug: 'hello-big-world' },
+      queryParams: { name: '  Ada Lovelace ', empty: '' },
+      body: { tags: ['a', 'b', 'c', 'd'], user: { id: 1 } }
+    };
+
+    it('should use the default value for missing or empty values', () => {
+      const result = processor.processResponse({
+        page: '{query.page|default:1}',
+        sort: '{query.sort|default:"name:asc"}',
+        empty: '{query.empty|default:none}',
+        name: '{query.name|default:anonymous|trim}'
+      }, params);
+
+      expect(result).to.deep.equal({ page: 1, sort: 'name:asc', empty: 'none', name: 'Ada Lovelace' });
+    });
+
+    it('should apply a chain of filters from left to right', () => {
+      expect(processor.interpolateString('{query.name|trim|upper}', params)).to.equal('ADA LOVELACE');
+      expect(processor.interpolateString('{params.slug|replace:"-"," "|slice:0,9}', params)).to.equal('hello big');
+      expect(processor.interpolateString('{query.name|trim|lower|urlencode}', params)).to.equal('ada%20lovelace');
+    });
+
+    it('should apply filters inside longer strings', () => {
+      expect(processor.interpolateString('Hi {query.name|trim|upper}!', params)).to.equal('Hi ADA LOVELACE!');
+    });
+
+    it('should convert values with number, json and base64', () => {
+      expect(processor.interpolateString('{query.missing|default:"42"|number}', params)).to.equal(42);
+      expect(processor.interpolateString('{body.user|json}', params)).to.equal('{"id":1}');
+      expect(processor.interpolateString('{params.slug|base64}', params)).to.equal('aGVsbG8tYmlnLXdvcmxk');
+    });
+
+    it('should slice arrays', () => {
+      expect(processor.interpolateString('{body.tags|slice:1,3}', params)).to.deep.equal(['b', 'c']);
+    });
+
+    it('should leave placeholders with unknown filters unchanged', () => {
+      expect(processor.interpolateString('{query.name|shout}', params)).to.equal('{query.name|shout}');
+    });
+
+    it('should support custom filters', () => {
+      processor.registerFilter('initials', value => value.trim().split(/\s+/).map(word => word[0]).join(''));
+
+      expect(processor.interpolateString('{query.name|initials}', params)).to.equal('AL');
+    });
+  });
+
+  describe('request placeholders', () => {
+    const params = {
+      pathParams: {},
+      queryParams: {},
+      body: {},
+      headers: { 'X-Tenant-Id': 'acme', 'x-correlation-id': 'abc-123' },
+      cookies: { session: 's3cr3t' },
+      request: { method: 'GET', path: '/orders', ip: '10.0.0.1', id: 'req-1' }
+    };
+
+    it('should interpolate headers ignoring case', () => {
+      const result = processor.processResponse({
+        tenant: '{headers.x-tenant-id}',
+        correlationId: '{headers.X-Correlation-Id}',
+        missing: '{headers.x-missing|default:none}'
+      }, params);
+
+      expect(result).to.deep.equal({ tenant: 'acme', correlationId: 'abc-123', missing: 'none' });
+    });
+
+    it('should interpolate cookies and request metadata', () => {
+      const result = processor.interpolateString(
+        '{request.method} {request.path} from {request.ip} ({request.id}, {cookies.session})',
+        params
+      );
+
+      expect(result).to.equal('GET /orders from 10.0.0.1 (req-1, s3cr3t)');
+    });
+  });
+
+  describe('date expressions with units and filters', () => {
+    const params = {
+      pathParams: {},
+      queryParams: {},
+      body: { startDate: '2021-03-15T12:00:00Z', createdAt: 1609459200 }
+    };
+
+    beforeEach(() => {
+      sinon.stub(Date, 'now').returns(1609459200000); // 2021-01-01 00:00:00 UTC
+    });
+
+    it('should add offsets with units', () => {
+      expect(processor.processDateExpression('currentDate+7d')).to.equal(1609459200 + 7 * 86400);
+      expect(processor.processDateExpression('currentDate(ms)-2h')).to.equal(1609459200000 - 7200000);
+      expect(processor.processDateExpression('currentDate+1d-30m')).to.equal(1609459200 + 86400 - 1800);
+    });
+
+    it('should format dates with filters', () => {
+      const result = processor.processResponse({
+        iso: '{date:currentDate+1d|iso}',
+        rfc: '{date:currentDate|rfc2822}',
+        custom: '{date:currentDate|format:"YYYY-MM-DD HH:mm"}',
+        local: '{date:currentDate|tz:+05:30|iso}',
+        message: 'Expires {date:currentDate+1M|iso}'
+      }, params);
+
+      expect(result).to.deep.equal({
+        iso: '2021-01-02T00:00:00.000Z',
+        rfc: 'Fri, 01 Jan 2021 00:00:00 +0000',
+        custom: '2021-01-01 00:00',
+        local: '2021-01-01T05:30:00.000+05:30',
+        message: 'Expires 2021-02-01T00:00:00.000Z'
+      });
+    });
+
+    it('should anchor dates to the start or end of a unit', () => {
+      expect(processor.interpolateString('{date:currentDate+1M|startOf:month|iso}', params))
+        .to.equal('2021-02-01T00:00:00.000Z');
+      expect(processor.interpolateString('{date:currentDate|endOf:day|iso}', params))
+        .to.equal('2021-01-01T23:59:59.999Z');
+      expect(processor.interpolateString('{date:currentDate|tz:-05:00|startOf:day|iso}', params))
+        .to.equal('2020-12-31T00:00:00.000-05:00');
+    });
+
+    it('should take the base date from the request', () => {
+      expect(processor.interpolateString('{date:body.startDate+30d|iso}', params)).to.equal('2021-04-14T12:00:00.000Z');
+      expect(processor.interpolateString('{date:body.createdAt+1h}', params)).to.equal(1609462800);
+      expect(processor.interpolateString('{body.startDate|format:DD/MM/YYYY}', params)).to.equal('15/03/2021');
+    });
+
+    it('should leave invalid date expressions unchanged', () => {
+      expect(processor.interpolateString('{date:body.missing+1d}', params)).to.equal('{date:body.missing+1d}');
+      expect(processor.interpolateString('{date:currentDate+1x}', params)).to.equal('{date:currentDate+1x}');
+      expect(processor.interpolateString('{date:currentDate|startOf:decade}', params)).to.equal('{date:currentDate|startOf:decade}');
+    });
+  });
+
+  describe('mockData references', () => {
+    const params = {
+      pathParams: { id: '2', slug: 'bob' },
+      queryParams: { role: 'admin' },
+      body: {},
+      mockData: {
+        users: [
+          { id: 1, name: 'Alice', role: 'admin', address: { city: 'Paris' } },
+          { id: 2, name: 'Bob', role: 'user', address: { city: 'Berlin' } },
+          { id: 3, name: 'Carol', role: 'admin', address: { city: 'Paris' } }
+        ],
+        usersBySlug: { bob: { id: 2 } },
+        'feature-flags': { beta: true }
+      }
+    };
+
+    it('should reference mockData with data and mockData', () => {
+      const result = processor.processResponse({
+        count: '{data.users.length}',
+        first: '{data.users[0].name}',
+        last: '{mockData.users[-1].name}',
+        flag: '{data["feature-flags"].beta}'
+      }, params);
+
+      expect(result).to.deep.equal({ count: 3, first: 'Alice', last: 'Carol', flag: true });
+    });
+
+    it('should use request values as keys', () => {
+      expect(processor.interpolateString('{data.usersBySlug[params.slug].id}', params)).to.equal(2);
+    });
+
+    it('should find items by field', () => {
+      expect(processor.interpolateString('{data.users[id=params.id].name}', params)).to.equal('Bob');
+      expect(processor.interpolateString('{data.users[address.city="Paris"].name}', params)).to.equal('Alice');
+      expect(processor.interpolateString('{data.users[id=9].name|default:unknown}', params)).to.equal('unknown');
+    });
+
+    it('should find items with $lookup', () => {
+      const result = processor.processResponse({
+        user: { $lookup: 'data.users', where: { id: '{params.id}' } },
+        admins: {
+          $lookup: 'data.users',
+          where: { role: '{query.role}', 'address.city': 'Paris' },
+          all: true
+        },
+        missing: { $lookup: 'data.users', where: { id: 99 }, default: { error: 'User {params.id} not found' } },
+        summary: {
+          $lookup: 'data.users',
+          where: { name: 'Bob' },
+          as: 'user',
+          template: { label: '{user.name} ({user.address.city})' }
+        }
+      }, params);
+
+      expect(result.user.name).to.equal('Bob');
+      expect(result.admins.map(user => user.name)).to.deep.equal(['Alice', 'Carol']);
+      expect(result.missing).to.deep.equal({ error: 'User 2 not found' });
+      expect(result.summary).to.deep.equal({ label: 'Bob (Berlin)' });
+    });
+
+    it('should return null when $lookup finds nothing and has no default', () => {
+      const result = processor.processResponse({ user: { $lookup: 'data.users', where: { id: 99 } } }, params);
+
+      expect(result).to.deep.equal({ user: null });
+    });
+
+    it('should iterate mockData with $each', () => {
+      const result = processor.processResponse({
+        $each: 'data.users',
+        as: 'user',
+        template: '{user.name}'
+      }, params);
+
+      expect(result).to.deep.equal(['Alice', 'Bob', 'Carol']);
+    });
+  });
+
+  describe('$repeat', () => {
+    const params = { pathParams: {}, queryParams: { limit: '3' }, body: {} };
+
+    it('should render the template a fixed number of times', () => {
+      const result = processor.processResponse({
+        users: { $repeat: 2, template: { id: '{position}', name: 'User {index}' } }
+      }, params);
+
+      expect(result).to.deep.equal({ users: [{ id: 1, name: 'User 0' }, { id: 2, name: 'User 1' }] });
+    });
+
+    it('should take the count from a placeholder', () => {
+      const result = processor.processResponse({ $repeat: '{query.limit}', template: '{index}' }, params);
+      const fallback = processor.processResponse({ $repeat: '{query.size|default:2}', template: '{index}' }, params);
+
+      expect(result).to.deep.equal([0, 1, 2]);
+      expect(fallback).to.deep.equal([0, 1]);
+    });
+
+    it('should pick a count within a range', () => {
+      for (let i = 0; i < 20; i++) {
+        const result = processor.processResponse({ $repeat: '5-8', template: {} }, params);
+        expect(result.length).to.be.within(5, 8);
+      }
+    });
+
+    it('should repeat the same count for the same seed', () => {
+      const template = { $repeat: '1-50', template: '{fake:uuid}' };
+
+      const first = processor.processResponse(template, { ...params, seed: 'list' });
+      const second = processor.processResponse(template, { ...params, seed: 'list' });
+
+      expect(second).to.deep.equal(first);
+    });
+
+    it('should clamp invalid and excessive counts', () => {
+      expect(processor.processResponse({ $repeat: 'many', template: 1 }, params)).to.deep.equal([]);
+      expect(processor.processResponse({ $repeat: -3, template: 1 }, params)).to.deep.equal([]);
+      expect(processor.processResponse({ $repeat: 1e9, template: 1 }, params)).to.have.length(1000);
+    });
+  });
+
+  describe('JSONPath placeholders', () => {
+    const params = {
+      body: {
+        items: [{ sku: 'A1', qty: 1 }, { sku: 'B2', qty: 3 }, { sku: 'C3', qty: 2 }],
+        meta: { 'x-trace-id': 't-9' }
+      },
+      mockData: { users: [{ name: 'Ada', role: 'admin' }, { name: 'Bob', role: 'user' }] }
+    };
+
+    it('should resolve body paths with their own type', () => {
+      const result = processor.processResponse({
+        sku: '{body:$.items[0].sku}',
+        qty: '{body:$.items[-1].qty}',
+        trace: "{body:$.meta['x-trace-id']}",
+        text: 'First: {body:$.items[0].sku}'
+      }, params);
+
+      expect(result).to.deep.equal({ sku: 'A1', qty: 2, trace: 't-9', text: 'First: A1' });
+    });
+
+    it('should return arrays for filters and wildcards', () => {
+      const result = processor.processResponse({
+        bulk: '{body:$.items[?(@.qty > 1)].sku}',
+        all: '{body:$.items[*].qty}',
+        none: '{body:$.items[?(@.qty > 10)]}'
+      }, params);
+
+      expect(result).to.deep.equal({ bulk: ['B2', 'C3'], all: [1, 3, 2], none: [] });
+    });
+
+    it('should query mockData', () => {
+      const result = processor.processResponse({
+        admins: "{data:$.users[?(@.role == 'admin')].name}",
+        last: '{mockData:$.users[-1].name}'
+      }, params);
+
+      expect(result).to.deep.equal({ admins: ['Ada'], last: 'Bob' });
+    });
+
+    it('should apply filters to the result', () => {
+      const result = processor.processResponse({
+        count: '{body:$.items[?(@.qty > 1)]|json}',
+        missing: '{body:$.items[5].sku|default:"none"}'
+      }, params);
+
+      expect(JSON.parse(result.count)).to.have.length(2);
+      expect(result.missing).to.equal('none');
+    });
+
+    it('should leave missing and invalid paths unchanged', () => {
+      const result = processor.processResponse({
+        missing: '{body:$.nothing}',
+        invalid: '{body:$.items[0}',
+        noBody: '{body:$.items}'
+      }, { ...params, body: undefined });
+
+      expect(result).to.deep.equal({ missing: '{body:$.nothing}', invalid: '{body:$.items[0}', noBody: '{body:$.items}' });
+    });
+
+    it('should use JSON truthiness and equality in filters, unlike $if and expr', () => {
+      const body = { flags: [{ id: 1, on: 'false' }, { id: '2', on: true }] };
+
+      const result = processor.processResponse({
+        filtered: '{body:$.flags[?(@.on)].id}',
+        strict: '{body:$.flags[?(@.id == 2)]}',
+        condition: { $if: 'body.flags[0].on', then: 'on', else: 'off' },
+        loose: '{expr:body.flags[1].id == 2}',
+        lookup: { $lookup: 'body.flags', where: { id: 2 }, template: '{item.id}' }
+      }, { body });
+
+      expect(result).to.deep.equal({ filtered: [1, '2'], strict: [], condition: 'off', loose: true, lookup: '2' });
+    });
+
+    it('should keep casting the whole body', () => {
+      expect(processor.processResponse('{body:string}', { body: { a: 1 } })).to.equal('{"a":1}');
+    });
+  });
+
+  describe('expression placeholders', () => {
+    const params = {
+      body: { age: 20, name: 'ada', items: [{ price: 2, qty: 3 }, { price: 5, qty: 1 }] },
+      queryParams: { page: '2' }
+    };
+
+    it('should compute typed values', () => {
+      const result = processor.processResponse({
+        total: '{expr:sum(body.items[*].price * body.items[*].qty)}',
+        isAdult: '{expr:body.age >= 18}',
+        greeting: '{expr:"Hello, " + upper(body.name)}',
+        next: '{expr:query.page + 1}',
+        label: 'Page {expr:number(query.page) + 1}'
+      }, params);
+
+      expect(result).to.deep.equal({ total: 11, isAdult: true, greeting: 'Hello, ADA', next: '21', label: 'Page 3' });
+    });
+
+    it('should see scope variables in loops', () => {
+      const result = processor.processResponse({
+        $each: '{body.items}',
+        template: '{expr:item.price * item.qty + index}'
+      }, params);
+
+      expect(result).to.deep.equal([6, 6]);
+    });
+
+    it('should drive conditionals', () => {
+      const template = { $if: '{expr:body.age >= 18 && len(body.items) > 1}', then: 'yes', else: 'no' };
+
+      expect(processor.processResponse(template, params)).to.equal('yes');
+    });
+
+    it('should apply filters to the result', () => {
+      expect(processor.processResponse('{expr:round(avg(body.items[*].price))|json}', params)).to.equal('4');
+    });
+
+    it('should leave invalid expressions unchanged', () => {
+      const result = processor.processResponse({
+        syntax: '{expr:1 +}',
+        unknown: '{expr:require("fs")}'
+      }, params);
+
+      expect(result).to.deep.equal({ syntax: '{expr:1 +}', unknown: '{expr:require("fs")}' });
+    });
+
+    it('should use registered functions', () => {
+      processor.expressions.registerFunction('vat', price => price * 0.2);
+
+      expect(processor.processResponse('{expr:vat(body.items[1].price)}', params)).to.equal(1);
+    });
+  });
+
+  describe('template references', () => {
+    const templates = {
+      user: { id: '{id}', name: 'User {id}', role: '{role|default:"member"}' },
+      error: { error: '{message}', status: '{status}' },
+      errors: {
+        notFound: { $ref: '#/templates/error', $params: { message: 'Not found', status: 404 } }
+      },
+      loopA: { next: { $ref: '#/templates/loopB' } },
+      loopB: { $ref: '#/templates/loopA' },
+      greeting: 'Hello, {name}!'
+    };
+    const params = { pathParams: { id: '7' }, templates };
+
+    it('should render referenced templates with $params', () => {
+      const result = processor.processResponse({
+        user: { $ref: '#/templates/user', $params: { id: '{params.id:int}' } },
+        greeting: { $ref: '#/templates/greeting', $params: { name: 'Ada' } }
+      }, params);
+
+      expect(result).to.deep.equal({
+        user: { id: 7, name: 'User 7', role: 'member' },
+        greeting: 'Hello, Ada!'
+      });
+    });
+
+    it('should let properties next to $ref override the template', () => {
+      const result = processor.processResponse({
+        $ref: '#/templates/user',
+        $params: { id: 1 },
+        role: 'admin',
+        email: 'user{params.id}@example.com'
+      }, params);
+
+      expect(result).to.deep.equal({ id: 1, name: 'User 1', role: 'admin', email: 'user7@example.com' });
+    });
+
+    it('should resolve nested pointers and references inside templates', () => {
+      expect(processor.processResponse({ $ref: '#/templates/errors/notFound' }, params))
+        .to.deep.equal({ error: 'Not found', status: 404 });
+    });
+
+    it('should see loop variables', () => {
+      const result = processor.processResponse({
+        $repeat: 2,
+        template: { $ref: '#/templates/user', $params: { id: '{position}' } }
+      }, params);
+
+      expect(result.map(user => user.name)).to.deep.equal(['User 1', 'User 2']);
+    });
+
+    it('should throw for dangling references', () => {
+      expect(() => processor.processResponse({ user: { $ref: '#/templates/nope' } }, params))
+        .to.throw(MockApiResponseProcessor.TemplateReferenceError, 'Unresolved $ref "#/templates/nope"');
+      expect(() => processor.processResponse({ $ref: '#/templates/greeting', extra: 1 }, params))
+        .to.throw('the template is not an object');
+    });
+
+    it('should keep other $ref objects as data', () => {
+      const document = {
+        paths: { '/users/{id}': { schema: { $ref: '#/components/schemas/User' } } },
+        external: { $ref: 'users.json#/user', description: 'User {params.id}' },
+        invalid: { $ref: 42 }
+      };
+
+      expect(processor.processResponse(document, params)).to.deep.equal({
+        paths: { '/users/{id}': { schema: { $ref: '#/components/schemas/User' } } },
+        external: { $ref: 'users.json#/user', description: 'User 7' },
+        invalid: { $ref: 42 }
+      });
+    });
+
+    it('should detect circular references', () => {
+      expect(() => processor.processResponse({ $ref: '#/templates/loopA' }, params))
+        .to.throw('Circular $ref: #/templates/loopA -> #/templates/loopB -> #/templates/loopA');
+    });
+  });
+});
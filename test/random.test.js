@@ -0,0 +1,40 @@
+// File: test/random.test.js
+const { expect } = require('chai');
+const SeededRandom = require('../lib/random');
+
+describe('SeededRandom', () => {
+  describe('next', () => {
+    it('should produce numbers between 0 and 1', () => {
+      const random = new SeededRandom(1);
+
+      for (let i = 0; i < 100; i++) {
+        expect(random.next()).to.be.at.least(0).and.below(1);
+      }
+    });
+
+    it('should produce the same sequence for the same seed', () => {
+      const first = new SeededRandom('user-42');
+      const second = new SeededRandom('user-42');
+
+      const a = [first.next(), first.next(), first.next()];
+      const b = [second.next(), second.next(), second.next()];
+
+      expect(a).to.deep.equal(b);
+    });
+
+    it('should produce different sequences for similar seeds', () => {
+      expect(new SeededRandom('42').next()).to.not.equal(new SeededRandom('43').next());
+    });
+
+    it('should treat numeric and string seeds alike', () => {
+      expect(new SeededRandom(42).next()).to.equal(new SeededRandom('42').next());
+    });
+  });
+
+  describe('hash', () => {
+    it('should hash strings to unsigned 32-bit integers', () => {
+      expect(SeededRandom.hash('')).to.equal(0x811c9dc5);
+      expect(SeededRandom.hash('a')).to.equal(0xe40c292c);
+    });
+  });
+});
@@ -1,5 +1,6 @@
 // File: test/router.test.js
 const { expect } = require('chai');
+const sinon = require('sinon');
 const MockApiRouter = require('../lib/router');
 
 describe('MockApiRouter', () => {
@@ -8,6 +9,10 @@ describe('MockApiRouter', () => {
   beforeEach(() => {
     router = new MockApiRouter();
   });
+
+  afterEach(() => {
+    sinon.restore();
+  });
   
   describe('findMatchingRoute', () => {
     it('should find exact path matches', () => {
@@ -107,4 +112,667 @@ describe('MockApiRouter', () => {
       expect(result.pathParams).to.deep.equal({});
     });
   });
+
+  describe('compiled route index', () => {
+    it('should compile a routes array only once', () => {
+      const routes = [{ method: 'get', path: '/users/:id' }];
+      const compile = sinon.spy(router, 'compileRoutes');
+
+      router.findMatchingRoute(routes, 'get', '/users/1');
+      router.findMatchingRoute(routes, 'get', '/users/2');
+
+      expect(compile.calledOnce).to.be.true;
+    });
+
+    it('should rebuild the index for a new routes array', () => {
+      const compile = sinon.spy(router, 'compileRoutes');
+
+      router.findMatchingRoute([{ method: 'get', path: '/a' }], 'get', '/a');
+      const result = router.findMatchingRoute([{ method: 'get', path: '/b' }], 'get', '/b');
+
+      expect(compile.calledTwice).to.be.true;
+      expect(result.route.path).to.equal('/b');
+    });
+
+    it('should warn about invalid routes when compiling rather than per request', () => {
+      const warn = sinon.stub(console, 'warn');
+      const routes = [null, { method: 'get' }, { method: 'get', path: '/ok' }];
+
+      router.findMatchingRoute(routes, 'get', '/ok');
+      router.findMatchingRoute(routes, 'get', '/ok');
+
+      expect(warn.callCount).to.equal(2);
+    });
+
+    it('should key the index by method', () => {
+      const index = router.compileRoutes([
+        { method: 'GET', path: '/users' },
+        { method: 'post', path: '/users' }
+      ]);
+
+      expect(Array.from(index.keys())).to.deep.equal(['get', 'post']);
+    });
+
+    it('should match correctly in large route sets', () => {
+      const routes = [];
+      for (let i = 0; i < 2000; i++) {
+        routes.push({ id: `r${i}`, method: 'get', path: `/resource${i}/:id` });
+      }
+      routes.push({ id: 'nested', method: 'get', path: '/resource1999/:id/children' });
+
+      expect(router.findMatchingRoute(routes, 'get', '/resource1234/5').route.id).to.equal('r1234');
+      expect(router.findMatchingRoute(routes, 'get', '/resource1999/5/children').route.id).to.equal('nested');
+      expect(router.findMatchingRoute(routes, 'get', '/resource2000/5').route).to.be.null;
+    });
+
+    it('should agree with matchPathWithParams on captured parameters', () => {
+      const routes = [{ method: 'get', path: '/:a?/:b*/end' }];
+
+      const result = router.findMatchingRoute(routes, 'get', '/x/y/z/end');
+
+      expect(result.pathParams).to.deep.equal(
+        router.matchPathWithParams('/x/y/z/end', '/:a?/:b*/end').params
+      );
+    });
+  });
+
+  describe('route ranking', () => {
+    it('should prefer static segments over parameters regardless of order', () => {
+      const routes = [
+        { method: 'get', path: '/users/:id' },
+        { method: 'get', path: '/users/me' }
+      ];
+
+      expect(router.findMatchingRoute(routes, 'get', '/users/me').route).to.equal(routes[1]);
+      expect(router.findMatchingRoute(routes, 'get', '/users/7').route).to.equal(routes[0]);
+    });
+
+    it('should prefer parameters over catch-all segments', () => {
+      const routes = [
+        { method: 'get', path: '/files/*' },
+        { method: 'get', path: '/files/:name' }
+      ];
+
+      const result = router.findMatchingRoute(routes, 'get', '/files/a.txt');
+
+      expect(result.route).to.equal(routes[1]);
+      expect(result.pathParams).to.deep.equal({ name: 'a.txt' });
+    });
+
+    it('should prefer constrained parameters over plain parameters', () => {
+      const routes = [
+        { method: 'get', path: '/orders/:slug' },
+        { method: 'get', path: '/orders/:id(\\d+)' }
+      ];
+
+      expect(router.findMatchingRoute(routes, 'get', '/orders/12').route).to.equal(routes[1]);
+      expect(router.findMatchingRoute(routes, 'get', '/orders/latest').route).to.equal(routes[0]);
+    });
+
+    it('should rank earlier segments before later ones', () => {
+      const routes = [
+        { method: 'get', path: '/:type/list' },
+        { method: 'get', path: '/users/:action' }
+      ];
+
+      expect(router.findMatchingRoute(routes, 'get', '/users/list').route).to.equal(routes[1]);
+    });
+
+    it('should prefer routes without optional trailing segments', () => {
+      const routes = [
+        { method: 'get', path: '/users/:id?' },
+        { method: 'get', path: '/users' }
+      ];
+
+      expect(router.findMatchingRoute(routes, 'get', '/users').route).to.equal(routes[1]);
+    });
+
+    it('should let an explicit priority override specificity', () => {
+      const routes = [
+        { method: 'get', path: '/users/me' },
+        { method: 'get', path: '/users/:id', priority: 10 }
+      ];
+
+      const result = router.findMatchingRoute(routes, 'get', '/users/me');
+
+      expect(result.route).to.equal(routes[1]);
+      expect(result.pathParams).to.deep.equal({ id: 'me' });
+    });
+
+    it('should fall back to configuration order for equally specific routes', () => {
+      const routes = [
+        { id: 'first', method: 'get', path: '/items/:id' },
+        { id: 'second', method: 'get', path: '/items/:itemId' }
+      ];
+
+      expect(router.findMatchingRoute(routes, 'get', '/items/1').route.id).to.equal('first');
+    });
+  });
+
+  describe('host matching', () => {
+    const routes = [
+      { id: 'payments', method: 'get', path: '/status', host: 'payments.mock.local' },
+      { id: 'crm', method: 'get', path: '/status', host: ['crm.mock.local', 'crm.internal'] },
+      { id: 'tenant', method: 'get', path: '/status', host: '*.tenants.mock.local' },
+      { id: 'local', method: 'get', path: '/status', host: 'localhost:4000' },
+      { id: 'any', method: 'get', path: '/status' }
+    ];
+
+    const find = host => router.findMatchingRoute(routes, 'get', '/status', { host }).route.id;
+
+    it('should select routes by exact host', () => {
+      expect(find('payments.mock.local')).to.equal('payments');
+      expect(find('crm.internal')).to.equal('crm');
+    });
+
+    it('should compare hosts case-insensitively and ignore the port', () => {
+      expect(find('Payments.Mock.Local:8080')).to.equal('payments');
+    });
+
+    it('should support wildcard labels', () => {
+      expect(find('acme.tenants.mock.local')).to.equal('tenant');
+      expect(find('a.b.tenants.mock.local')).to.equal('any');
+    });
+
+    it('should compare the port when the pattern names one', () => {
+      expect(find('localhost:4000')).to.equal('local');
+      expect(find('localhost:5000')).to.equal('any');
+    });
+
+    it('should fall back to routes without a host', () => {
+      expect(find('unknown.example.com')).to.equal('any');
+      expect(find(undefined)).to.equal('any');
+    });
+
+    it('should prefer host-specific routes over more specific paths', () => {
+      const result = router.findMatchingRoute([
+        { id: 'generic', method: 'get', path: '/users/me' },
+        { id: 'crm', method: 'get', path: '/users/:id', host: 'crm.mock.local' }
+      ], 'get', '/users/me', { host: 'crm.mock.local' });
+
+      expect(result.route.id).to.equal('crm');
+    });
+
+    it('should not match host-restricted routes for other hosts', () => {
+      const result = router.findMatchingRoute(
+        [{ method: 'get', path: '/a', host: 'crm.mock.local' }],
+        'get',
+        '/a',
+        { host: 'payments.mock.local' }
+      );
+
+      expect(result.route).to.be.null;
+    });
+  });
+
+  describe('findNearMisses', () => {
+    const routes = [
+      { id: 'createUser', method: 'post', path: '/users' },
+      { id: 'getUser', method: 'get', path: '/users/:id(\\d+)' },
+      { id: 'getOrder', method: 'get', path: '/orders/:id' },
+      { id: 'crmUsers', method: 'get', path: '/users', host: 'crm.mock.local' },
+      { id: 'files', method: 'get', path: '/files/*' }
+    ];
+
+    it('should report routes with the same path but another method or host', () => {
+      const result = router.findNearMisses(routes, 'get', '/users', { host: 'payments.mock.local' });
+
+      expect(result).to.deep.equal([
+        { id: 'createUser', method: 'POST', path: '/users', reasons: ['method is POST, not GET'] },
+        {
+          id: 'crmUsers',
+          method: 'GET',
+          path: '/users',
+          reasons: ['host "payments.mock.local" does not match crm.mock.local']
+        }
+      ]);
+    });
+
+    it('should report letter case differences', () => {
+      const result = router.findNearMisses(routes, 'get', '/Orders/5');
+
+      expect(result.map(miss => miss.id)).to.deep.equal(['getOrder', 'getUser']);
+      expect(result[0]).to.deep.equal(
+        { id: 'getOrder', method: 'GET', path: '/orders/:id', reasons: ['path differs only in letter case'] }
+      );
+    });
+
+    it('should report a single differing segment', () => {
+      const result = router.findNearMisses(routes, 'get', '/ordres/5');
+
+      expect(result.map(miss => miss.id)).to.deep.equal(['getUser', 'getOrder']);
+      expect(result[1]).to.deep.equal({
+        id: 'getOrder',
+        method: 'GET',
+        path: '/orders/:id',
+        reasons: ['segment 1 is "ordres", expected "orders"']
+      });
+    });
+
+    it('should report failed parameter constraints', () => {
+      const result = router.findNearMisses(routes, 'get', '/users/me');
+
+      expect(result.map(miss => miss.id)).to.deep.equal(['getUser', 'getOrder']);
+      expect(result[0].reasons).to.deep.equal(['segment 2 "me" does not satisfy the constraint of :id']);
+    });
+
+    it('should ignore routes that differ in more than one segment', () => {
+      expect(router.findNearMisses(routes, 'get', '/a/b/c')).to.deep.equal([]);
+    });
+
+    it('should limit the number of results', () => {
+      expect(router.findNearMisses(routes, 'get', '/users/me', { limit: 1 })).to.have.lengthOf(1);
+    });
+  });
+
+  describe('selectVariant', () => {
+    const route = {
+      method: 'post',
+      path: '/auth/login',
+      variants: [
+        { id: 'missing', when: { body: { username: { exists: false } } } },
+        { id: 'locked', when: { body: { username: { in: ['locked', 'banned'] } } } },
+        { id: 'admin', when: { headers: { 'X-Role': 'admin' }, query: { debug: { regex: '^(1|true)$' } } } },
+        { id: 'nested', when: { body: { 'profile.age': 17 } } },
+        { id: 'default' }
+      ]
+    };
+
+    const select = context => router.selectVariant(route, {
+      pathParams: {}, queryParams: {}, headers: {}, body: {}, ...context
+    }).id;
+
+    it('should match on field existence', () => {
+      expect(select({ body: {} })).to.equal('missing');
+    });
+
+    it('should match on membership in a list', () => {
+      expect(select({ body: { username: 'banned' } })).to.equal('locked');
+    });
+
+    it('should require every condition to match', () => {
+      expect(select({ body: { username: 'a' }, headers: { 'x-role': 'admin' }, queryParams: { debug: 'true' } }))
+        .to.equal('admin');
+      expect(select({ body: { username: 'a' }, headers: { 'x-role': 'admin' }, queryParams: { debug: 'no' } }))
+        .to.equal('default');
+    });
+
+    it('should compare nested body fields and coerce primitives', () => {
+      expect(select({ body: { username: 'a', profile: { age: '17' } } })).to.equal('nested');
+    });
+
+    it('should fall back to a variant without conditions', () => {
+      expect(select({ body: { username: 'a' } })).to.equal('default');
+    });
+
+    it('should return null when no variant matches', () => {
+      const result = router.selectVariant(
+        { variants: [{ when: { params: { id: '1' } } }] },
+        { pathParams: { id: '2' } }
+      );
+
+      expect(result).to.be.null;
+    });
+
+    it('should return null for routes without variants', () => {
+      expect(router.selectVariant({ method: 'get', path: '/' }, {})).to.be.null;
+    });
+  });
+
+  describe('matchesValue', () => {
+    it('should support equals matchers', () => {
+      expect(router.matchesValue('5', { equals: 5 })).to.be.true;
+      expect(router.matchesValue('6', { equals: 5 })).to.be.false;
+    });
+
+    it('should support regex matchers with flags', () => {
+      expect(router.matchesValue('Bearer abc', { regex: '^bearer ', flags: 'i' })).to.be.true;
+      expect(router.matchesValue(undefined, { regex: '.*' })).to.be.false;
+    });
+
+    it('should treat an invalid regex as not matching', () => {
+      sinon.stub(console, 'warn');
+
+      expect(router.matchesValue('a', { regex: '(' })).to.be.false;
+    });
+
+    it('should combine checks in one matcher', () => {
+      expect(router.matchesValue('b', { exists: true, in: ['a', 'b'] })).to.be.true;
+      expect(router.matchesValue(undefined, { exists: true, in: ['a', 'b'] })).to.be.false;
+    });
+  });
+
+  describe('route filters', () => {
+    const routes = [
+      { id: 'disabled', method: 'get', path: '/users', enabled: false, priority: 10 },
+      { id: 'broken', method: 'get', path: '/users', tags: ['broken'], priority: 2 },
+      { id: 'staging', method: 'get', path: '/users', environments: ['staging'], priority: 1 },
+      { id: 'happy', method: 'get', path: '/users', tags: ['happy-path', 'smoke'] }
+    ];
+
+    const find = options => {
+      const { route } = router.findMatchingRoute(routes, 'get', '/users', options);
+      return route && route.id;
+    };
+
+    it('should ignore disabled routes', () => {
+      expect(find({})).to.equal('broken');
+    });
+
+    it('should only use tagged routes sharing an active tag', () => {
+      expect(find({ tags: ['happy-path'] })).to.equal('staging');
+      expect(find({ tags: ['Broken'] })).to.equal('broken');
+    });
+
+    it('should only use environment-specific routes in their environments', () => {
+      expect(find({ environment: 'dev', tags: ['smoke'] })).to.equal('happy');
+      expect(find({ environment: 'STAGING', tags: ['smoke'] })).to.equal('staging');
+    });
+
+    it('should keep untagged routes active when tags are selected', () => {
+      const result = router.findMatchingRoute(
+        [{ id: 'plain', method: 'get', path: '/a' }],
+        'get',
+        '/a',
+        { tags: ['anything'] }
+      );
+
+      expect(result.route.id).to.equal('plain');
+    });
+
+    it('should leave filtered routes out of the allowed methods', () => {
+      const methodRoutes = [
+        { method: 'get', path: '/a' },
+        { method: 'post', path: '/a', environments: ['qa'] }
+      ];
+
+      expect(router.findAllowedMethods(methodRoutes, '/a', { environment: 'dev' })).to.deep.equal(['GET']);
+    });
+
+    it('should explain filtered routes in near misses', () => {
+      const result = router.findNearMisses(routes, 'get', '/users', { environment: 'dev', tags: ['none'] });
+
+      expect(result.map(miss => miss.reasons)).to.deep.equal([
+        ['route is disabled'],
+        ['route tags (broken) do not include an active tag'],
+        ['route is not active in environment "dev"'],
+        ['route tags (happy-path, smoke) do not include an active tag']
+      ]);
+    });
+
+    it('should apply group filters to grouped routes', () => {
+      const loaded = router.loadRoutes({
+        groups: [
+          {
+            tags: ['broken'],
+            environments: ['qa'],
+            routes: [{ method: 'get', path: '/a', tags: ['slow'] }]
+          },
+          {
+            enabled: false,
+            routes: [{ method: 'get', path: '/b', enabled: true }]
+          }
+        ]
+      });
+
+      expect(loaded).to.deep.equal([
+        { method: 'get', path: '/a', tags: ['broken', 'slow'], environments: ['qa'] },
+        { method: 'get', path: '/b', enabled: false }
+      ]);
+    });
+  });
+
+  describe('path normalization', () => {
+    it('should percent-decode path parameters', () => {
+      const routes = [{ method: 'get', path: '/users/:name' }];
+
+      const result = router.findMatchingRoute(routes, 'get', '/users/john%20doe');
+
+      expect(result.pathParams).to.deep.equal({ name: 'john doe' });
+    });
+
+    it('should keep encoded slashes inside a single parameter', () => {
+      const routes = [{ method: 'get', path: '/files/:name' }];
+
+      const result = router.findMatchingRoute(routes, 'get', '/files/a%2Fb.txt');
+
+      expect(result.pathParams).to.deep.equal({ name: 'a/b.txt' });
+    });
+
+    it('should keep malformed escapes as they are', () => {
+      const routes = [{ method: 'get', path: '/users/:name' }];
+
+      const result = router.findMatchingRoute(routes, 'get', '/users/100%');
+
+      expect(result.pathParams).to.deep.equal({ name: '100%' });
+    });
+
+    it('should not decode when decoding is disabled', () => {
+      router = new MockApiRouter({ decodeParams: false });
+
+      const result = router.findMatchingRoute([{ method: 'get', path: '/users/:name' }], 'get', '/users/a%20b');
+
+      expect(result.pathParams).to.deep.equal({ name: 'a%20b' });
+    });
+
+    it('should match case-sensitively by default', () => {
+      expect(router.findMatchingRoute([{ method: 'get', path: '/users' }], 'get', '/Users').route).to.be.null;
+    });
+
+    it('should match case-insensitively when configured globally', () => {
+      router = new MockApiRouter({ caseSensitive: false });
+      const routes = [{ method: 'get', path: '/Users/:Name' }];
+
+      const result = router.findMatchingRoute(routes, 'get', '/USERS/JoHn');
+
+      expect(result.route).to.equal(routes[0]);
+      expect(result.pathParams).to.deep.equal({ Name: 'JoHn' });
+      expect(router.matchPathWithParams('/USERS/x', '/users/:id').isMatch).to.be.true;
+    });
+
+    it('should let routes override case sensitivity', () => {
+      const routes = [
+        { id: 'insensitive', method: 'get', path: '/users', caseSensitive: false },
+        { id: 'sensitive', method: 'get', path: '/orders' }
+      ];
+
+      expect(router.findMatchingRoute(routes, 'get', '/USERS').route.id).to.equal('insensitive');
+      expect(router.findMatchingRoute(routes, 'get', '/ORDERS').route).to.be.null;
+
+      router = new MockApiRouter({ caseSensitive: false });
+      routes[1].caseSensitive = true;
+      expect(router.findMatchingRoute(routes, 'get', '/ORDERS').route).to.be.null;
+    });
+
+    it('should ignore trailing slashes by default', () => {
+      const routes = [{ method: 'get', path: '/users' }];
+
+      expect(router.findMatchingRoute(routes, 'get', '/users/').route).to.equal(routes[0]);
+    });
+
+    it('should require matching trailing slashes in strict mode', () => {
+      router = new MockApiRouter({ strictTrailingSlash: true });
+      const routes = [
+        { id: 'plain', method: 'get', path: '/users' },
+        { id: 'slash', method: 'get', path: '/orders/' }
+      ];
+
+      expect(router.findMatchingRoute(routes, 'get', '/users').route.id).to.equal('plain');
+      expect(router.findMatchingRoute(routes, 'get', '/users/').route).to.be.null;
+      expect(router.findMatchingRoute(routes, 'get', '/orders/').route.id).to.equal('slash');
+      expect(router.findMatchingRoute(routes, 'get', '/orders').route).to.be.null;
+      expect(router.matchPathWithParams('/users/', '/users').isMatch).to.be.false;
+    });
+
+    it('should let routes override trailing slash handling', () => {
+      const routes = [{ method: 'get', path: '/users', strictTrailingSlash: true }];
+
+      expect(router.findMatchingRoute(routes, 'get', '/users/').route).to.be.null;
+    });
+
+    it('should explain trailing slash mismatches in near misses', () => {
+      const routes = [{ id: 'users', method: 'get', path: '/users', strictTrailingSlash: true }];
+
+      expect(router.findNearMisses(routes, 'get', '/users/')).to.deep.equal([
+        { id: 'users', method: 'GET', path: '/users', reasons: ['trailing slash is not allowed'] }
+      ]);
+    });
+  });
+
+  describe('loadRoutes', () => {
+    it('should filter out invalid routes', () => {
+      sinon.stub(console, 'warn');
+
+      const routes = router.loadRoutes({
+        routes: [{ method: 'get', path: '/a' }, { path: '/missing-method' }, null]
+      });
+
+      expect(routes).to.deep.equal([{ method: 'get', path: '/a' }]);
+    });
+
+    it('should flatten groups with their base path and defaults', () => {
+      const routes = router.loadRoutes({
+        routes: [{ method: 'get', path: '/health' }],
+        groups: [
+          {
+            id: 'v2',
+            basePath: '/api/v2',
+            headers: { 'Content-Type': 'application/json', 'X-Api': 'v2' },
+            statusCode: 202,
+            delay: 100,
+            routes: [
+              { method: 'get', path: '/users/:id', headers: { 'X-Api': 'users' } },
+              { method: 'post', path: 'users', statusCode: 201, delay: 0 }
+            ]
+          }
+        ]
+      });
+
+      expect(routes).to.deep.equal([
+        { method: 'get', path: '/health' },
+        {
+          method: 'get',
+          path: '/api/v2/users/:id',
+          headers: { 'Content-Type': 'application/json', 'X-Api': 'users' },
+          statusCode: 202,
+          delay: 100,
+          group: 'v2'
+        },
+        {
+          method: 'post',
+          path: '/api/v2/users',
+          headers: { 'Content-Type': 'application/json', 'X-Api': 'v2' },
+          statusCode: 201,
+          delay: 0,
+          group: 'v2'
+        }
+      ]);
+    });
+
+    it('should combine nested groups', () => {
+      const routes = router.loadRoutes({
+        groups: [
+          {
+            basePath: '/api/',
+            host: 'crm.mock.local',
+            headers: { 'X-Outer': '1' },
+            groups: [
+              {
+                id: 'inner',
+                basePath: '/v1/',
+                headers: { 'X-Inner': '1' },
+                routes: [{ method: 'get', path: '/contacts' }]
+              }
+            ]
+          }
+        ]
+      });
+
+      expect(routes).to.deep.equal([
+        {
+          method: 'get',
+          path: '/api/v1/contacts',
+          headers: { 'X-Outer': '1', 'X-Inner': '1' },
+          host: 'crm.mock.local',
+          group: 'inner'
+        }
+      ]);
+    });
+
+    it('should not modify the configuration', () => {
+      const config = {
+        groups: [{ basePath: '/api', routes: [{ method: 'get', path: '/a' }] }]
+      };
+      const copy = JSON.parse(JSON.stringify(config));
+
+      router.loadRoutes(config);
+
+      expect(config).to.deep.equal(copy);
+    });
+  });
+
+  describe('matchPathWithParams', () => {
+    it('should capture catch-all segments as rest', () => {
+      const result = router.matchPathWithParams('/files/docs/2024/report.pdf', '/files/*');
+
+      expect(result.isMatch).to.be.true;
+      expect(result.params).to.deep.equal({ rest: 'docs/2024/report.pdf' });
+    });
+
+    it('should capture named catch-all segments', () => {
+      const result = router.matchPathWithParams('/repos/acme/tree/src/lib', '/repos/:owner/tree/:path*');
+
+      expect(result.isMatch).to.be.true;
+      expect(result.params).to.deep.equal({ owner: 'acme', path: 'src/lib' });
+    });
+
+    it('should allow catch-all segments to match nothing', () => {
+      const result = router.matchPathWithParams('/files', '/files/:rest*');
+
+      expect(result.isMatch).to.be.true;
+      expect(result.params).to.deep.equal({ rest: '' });
+    });
+
+    it('should match catch-all segments followed by static segments', () => {
+      const result = router.matchPathWithParams('/a/b/c/edit', '/:rest*/edit');
+
+      expect(result.isMatch).to.be.true;
+      expect(result.params).to.deep.equal({ rest: 'a/b/c' });
+    });
+
+    it('should support optional parameters', () => {
+      expect(router.matchPathWithParams('/users', '/users/:id?')).to.deep.equal({
+        isMatch: true,
+        params: {}
+      });
+      expect(router.matchPathWithParams('/users/5', '/users/:id?')).to.deep.equal({
+        isMatch: true,
+        params: { id: '5' }
+      });
+      expect(router.matchPathWithParams('/users/5/6', '/users/:id?').isMatch).to.be.false;
+    });
+
+    it('should enforce inline parameter constraints', () => {
+      expect(router.matchPathWithParams('/users/42', '/users/:id(\\d+)')).to.deep.equal({
+        isMatch: true,
+        params: { id: '42' }
+      });
+      expect(router.matchPathWithParams('/users/me', '/users/:id(\\d+)').isMatch).to.be.false;
+    });
+
+    it('should anchor constraints to the whole segment', () => {
+      expect(router.matchPathWithParams('/users/42abc', '/users/:id(\\d+)').isMatch).to.be.false;
+      expect(router.matchPathWithParams('/v2/items', '/:version(v1|v2)/items').params)
+        .to.deep.equal({ version: 'v2' });
+    });
+
+    it('should reject routes with invalid constraints', () => {
+      const warn = sinon.stub(console, 'warn');
+
+      const result = router.matchPathWithParams('/users/1', '/users/:id([)');
+
+      expect(result.isMatch).to.be.false;
+      expect(warn.calledOnce).to.be.true;
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,85 @@
+// File: test/sequences.test.js
+const { expect } = require('chai');
+const MockApiSequences = require('../lib/sequences');
+
+describe('MockApiSequences', () => {
+  let sequences;
+
+  beforeEach(() => {
+    sequences = new MockApiSequences();
+  });
+
+  describe('next', () => {
+    it('should start at 1 and count up by default', () => {
+      const data = {};
+
+      expect([sequences.next(data, 'orders'), sequences.next(data, 'orders')]).to.deep.equal([1, 2]);
+      expect(sequences.next(data, 'invoices')).to.equal(1);
+      expect(sequences.dirty).to.be.true;
+    });
+
+    it('should use the configured start and step', () => {
+      const data = { sequences: { orders: { start: 1001, step: 5 } } };
+
+      expect([sequences.next(data, 'orders'), sequences.next(data, 'orders')]).to.deep.equal([1001, 1006]);
+    });
+
+    it('should continue from the stored state', () => {
+      const data = { state: { sequences: { orders: 41 } } };
+
+      expect(sequences.next(data, 'orders')).to.equal(42);
+    });
+
+    it('should never go back when a stale state is loaded', () => {
+      sequences.next({ state: { sequences: { orders: 41 } } }, 'orders');
+
+      expect(sequences.next({ state: { sequences: { orders: 10 } } }, 'orders')).to.equal(43);
+    });
+
+    it('should jump to a start above the current value', () => {
+      const data = { sequences: { orders: { start: 100 } }, state: { sequences: { orders: 7 } } };
+
+      expect(sequences.next(data, 'orders')).to.equal(100);
+    });
+  });
+
+  describe('current', () => {
+    it('should return the last issued value', () => {
+      const data = {};
+
+      expect(sequences.current(data, 'orders')).to.be.undefined;
+      sequences.next(data, 'orders');
+      expect(sequences.current(data, 'orders')).to.equal(1);
+    });
+  });
+
+  describe('apply', () => {
+    it('should write issued values into the state', () => {
+      const data = { state: { sequences: { invoices: 3 }, other: true } };
+      sequences.next(data, 'orders');
+
+      sequences.apply(data);
+
+      expect(data.state).to.deep.equal({ sequences: { invoices: 3, orders: 1 }, other: true });
+    });
+  });
+
+  describe('reset', () => {
+    it('should reset one sequence', () => {
+      const data = { state: { sequences: { orders: 5, invoices: 3 } } };
+      sequences.next(data, 'orders');
+
+      expect(sequences.reset(data, 'orders')).to.deep.equal(['orders']);
+      expect(data.state.sequences).to.deep.equal({ invoices: 3 });
+      expect(sequences.next(data, 'orders')).to.equal(1);
+    });
+
+    it('should reset all sequences', () => {
+      const data = { state: { sequences: { invoices: 3 } } };
+      sequences.next(data, 'orders');
+
+      expect(sequences.reset(data)).to.have.members(['orders', 'invoices']);
+      expect(data.state.sequences).to.deep.equal({});
+    });
+  });
+});
@@ -0,0 +1,173 @@
+// File: test/validator.test.js
+const { expect } = require('chai');
+const MockApiConfigValidator = require('../lib/validator');
+const exampleConfig = require('../examples/mock-api-routes.json');
+
+describe('MockApiConfigValidator', () => {
+  let validator;
+
+  beforeEach(() => {
+    validator = new MockApiConfigValidator();
+  });
+
+  describe('validate', () => {
+    it('should accept the example configuration', () => {
+      const result = validator.validate(exampleConfig);
+
+      expect(result).to.deep.equal({ valid: true, errors: [] });
+    });
+
+    it('should accept routes using every documented field', () => {
+      const result = validator.validate({
+        routes: [
+          {
+            id: 'login',
+            name: 'Login',
+            method: 'post',
+            path: '/auth/login',
+            statusCode: 200,
+            headers: { 'Content-Type': 'application/json', 'X-Count': 1 },
+            delay: 100,
+            priority: 5,
+            host: ['auth.mock.local'],
+            enabled: true,
+            tags: ['happy-path'],
+            environments: ['dev', 'qa'],
+            caseSensitive: false,
+            strictTrailingSlash: true,
+            seed: '{params.id}',
+            collection: { source: 'users', defaultLimit: 10, maxLimit: 50, filterable: ['role'] },
+            response: { token: 'abc' },
+            variants: [
+              {
+                when: {
+                  body: { username: { in: ['locked'] }, password: { exists: false } },
+                  headers: { 'X-Role': 'admin' },
+                  query: { debug: { regex: '^1$', flags: 'i' } },
+                  params: { id: 5 }
+                },
+                statusCode: 403,
+                response: { error: 'Locked' }
+              },
+              { response: null }
+            ],
+            'x-owner': 'team-a'
+          }
+        ],
+        groups: [
+          {
+            basePath: '/api',
+            enabled: false,
+            tags: ['broken'],
+            environments: ['qa'],
+            routes: [{ method: 'GET', path: '/users' }],
+            groups: [{ basePath: '/v2', routes: [] }]
+          }
+        ],
+        mockData: {},
+        templates: { user: { id: '{id}' } },
+        sequences: { orders: { start: 1001, step: 1 } },
+        state: { sequences: { orders: 1004 } }
+      });
+
+      expect(result.errors).to.deep.equal([]);
+    });
+
+    it('should report typos in property names with a suggestion', () => {
+      const result = validator.validate({
+        routes: [{ methd: 'GET', path: '/users' }]
+      });
+
+      expect(result.valid).to.be.false;
+      expect(result.errors).to.deep.equal([
+        { pointer: '/routes/0/method', keyword: 'required', message: 'is required' },
+        {
+          pointer: '/routes/0/methd',
+          keyword: 'additionalProperties',
+          message: 'is not an allowed property, did you mean "method"?'
+        }
+      ]);
+    });
+
+    it('should report non-numeric status codes', () => {
+      const result = validator.validate({
+        routes: [{ method: 'GET', path: '/users', statusCode: 'OK' }]
+      });
+
+      expect(result.errors).to.deep.equal([
+        { pointer: '/routes/0/statusCode', keyword: 'type', message: 'must be an integer' }
+      ]);
+    });
+
+    it('should report out of range values and unknown methods', () => {
+      const result = validator.validate({
+        routes: [{ method: 'FETCH', path: '/users', statusCode: 99, delay: -1 }]
+      });
+
+      expect(result.errors.map(error => [error.pointer, error.keyword])).to.deep.equal([
+        ['/routes/0/method', 'enum'],
+        ['/routes/0/statusCode', 'minimum'],
+        ['/routes/0/delay', 'minimum']
+      ]);
+    });
+
+    it('should report errors inside groups and variant conditions', () => {
+      const result = validator.validate({
+        groups: [
+          {
+            basePath: '/api',
+            routes: [
+              {
+                method: 'GET',
+                path: '/users',
+                variants: [{ when: { body: { name: { regx: '^a' } } } }]
+              }
+            ],
+            headers: { 'X-Bad': { nested: true } }
+          }
+        ]
+      });
+
+      expect(result.errors).to.deep.equal([
+        {
+          pointer: '/groups/0/routes/0/variants/0/when/body/name/regx',
+          keyword: 'additionalProperties',
+          message: 'is not an allowed property, did you mean "regex"?'
+        },
+        {
+          pointer: '/groups/0/headers/X-Bad',
+          keyword: 'type',
+          message: 'must be a string or a number or a boolean'
+        }
+      ]);
+    });
+
+    it('should reject unknown top-level sections', () => {
+      const result = validator.validate({ routes: [], route: [] });
+
+      expect(result.errors).to.deep.equal([
+        {
+          pointer: '/route',
+          keyword: 'additionalProperties',
+          message: 'is not an allowed property, did you mean "routes"?'
+        }
+      ]);
+    });
+
+    it('should reject a configuration that is not an object', () => {
+      const result = validator.validate([]);
+
+      expect(result.errors).to.deep.equal([
+        { pointer: '', keyword: 'type', message: 'must be an object' }
+      ]);
+    });
+
+    it('should escape property names in pointers', () => {
+      const result = validator.validate({
+        routes: [{ method: 'GET', path: '/a', headers: { 'a/b~c': [] } }]
+      });
+
+      expect(result.errors[0].pointer).to.equal('/routes/0/headers/a~1b~0c');
+    });
+  });
+});